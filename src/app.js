@@ -4,6 +4,12 @@ import cookieParser from "cookie-parser";
 
 const app = express();
 
+//behind a reverse proxy, take the client ip from X-Forwarded-For so rate limits count clients and not the proxy
+//TRUST_PROXY is the number of proxies in front of the app
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY))
+}
+
 app.use(cors({
     origin:process.env.CORS_ORIGIN,
     credentials:true
@@ -20,15 +26,55 @@ app.use(express.urlencoded({
 }))
 
 //to store static files like images, favicons and videos etc.
-app.use(express.static("public"))
+//temp uploads and every upload but images are kept private, videos are streamed by the videos router
+import { servePublicFiles } from './middlewares/static.middleware.js'
+
+app.use(servePublicFiles)
 
 app.use(cookieParser())
 
+//remove the temp files of uploads once the request is over
+import { cleanupTempFiles } from './middlewares/multer.middleware.js'
+
+app.use(cleanupTempFiles)
+
 
 //routes import
 import userRouter from './routes/user.routes.js'
+import videoRouter from './routes/video.routes.js'
+import commentRouter from './routes/comment.routes.js'
+import likeRouter from './routes/like.routes.js'
+import subscriptionRouter from './routes/subscription.routes.js'
+import playlistRouter from './routes/playlist.routes.js'
+import communityPostRouter from './routes/communityPost.routes.js'
+import dashboardRouter from './routes/dashboard.routes.js'
+import sessionRouter from './routes/session.routes.js'
+import searchRouter from './routes/search.routes.js'
+import feedRouter from './routes/feed.routes.js'
+import adminRouter from './routes/admin.routes.js'
+import reportRouter from './routes/report.routes.js'
+import notificationRouter from './routes/notification.routes.js'
 
 //routes declaration
 app.use("/api/v1/users", userRouter)
+app.use("/api/v1/videos", videoRouter)
+app.use("/api/v1/comments", commentRouter)
+app.use("/api/v1/likes", likeRouter)
+app.use("/api/v1/subscriptions", subscriptionRouter)
+app.use("/api/v1/playlists", playlistRouter)
+app.use("/api/v1/community-posts", communityPostRouter)
+app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/sessions", sessionRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/api/v1/admin", adminRouter)
+app.use("/api/v1/reports", reportRouter)
+app.use("/api/v1/notifications", notificationRouter)
+
+//error handling, has to come after all the routes
+import { notFound, errorHandler } from './middlewares/error.middleware.js'
+
+app.use(notFound)
+app.use(errorHandler)
 
 export { app }
\ No newline at end of file
@@ -1 +1,66 @@
-export const DB_NAME = "voirDB"
\ No newline at end of file
+export const DB_NAME = "voirDB"
+
+// A viewer adds at most one view to a video within this window
+export const VIEW_COUNT_WINDOW_HOURS = 6
+
+// Maximum number of videos kept in a user's watch history
+export const WATCH_HISTORY_LIMIT = 200
+
+// Lifetime of the links sent by email
+export const EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS = 24
+export const PASSWORD_RESET_TOKEN_EXPIRY_MINUTES = 60
+
+// Background jobs, see utils/jobQueue.js
+export const JOB_POLL_INTERVAL_SECONDS = 5
+export const JOB_MAX_ATTEMPTS = 3
+// Delay before the first retry, doubled after every failed attempt
+export const JOB_RETRY_DELAY_SECONDS = 30
+// A running job not finished within this time is considered abandoned and picked up again
+export const JOB_LOCK_TIMEOUT_MINUTES = 15
+// Due jobs run by priority, jobs users wait for come before periodic maintenance
+export const JOB_PRIORITY_HIGH = 1
+export const JOB_PRIORITY_LOW = -1
+
+// Home feeds, scores are recomputed by the updateFeedScores job
+export const FEED_SCORES_INTERVAL_MINUTES = 15
+// Default window of recent activity used to rank trending videos, see TRENDING_WINDOW_HOURS
+export const TRENDING_WINDOW_HOURS = 48
+// How long hourly view counts are kept, trending windows cannot be longer
+export const VIDEO_STATS_RETENTION_DAYS = 30
+// Recommendations are only computed for users signed in within this many days
+export const RECOMMENDATION_ACTIVE_DAYS = 7
+export const RECOMMENDATIONS_PER_USER = 100
+// Users whose recommendations are refreshed by a single job, the next batch is a new job
+export const RECOMMENDATION_BATCH_SIZE = 50
+
+// Reported videos, comments and posts are hidden once this many users reported them
+export const REPORT_AUTO_HIDE_THRESHOLD = 5
+
+// Notifications older than this are removed
+export const NOTIFICATION_RETENTION_DAYS = 90
+// Subscribing again within this window does not notify the channel a second time
+export const RESUBSCRIBE_NOTIFICATION_WINDOW_HOURS = 24
+
+// Number of replies shown under every top-level comment, the rest are fetched separately
+export const COMMENT_REPLY_PREVIEW_COUNT = 3
+
+// Auth rate limits, counted per fixed window, see middlewares/rateLimit.middleware.js
+export const AUTH_RATE_LIMIT_WINDOW_MINUTES = 15
+export const LOGIN_RATE_LIMIT_PER_IP = 20
+// Failed logins for one account, or for one username and email pair matching no account,
+// before it is refused for the window
+export const LOGIN_RATE_LIMIT_PER_ACCOUNT = 5
+export const REGISTER_RATE_LIMIT_PER_IP = 5
+export const REFRESH_TOKEN_RATE_LIMIT_PER_IP = 60
+export const CHANGE_PASSWORD_RATE_LIMIT_PER_ACCOUNT = 5
+
+// An account is locked for LOGIN_LOCK_MINUTES after this many wrong passwords in a row
+export const LOGIN_MAX_FAILED_ATTEMPTS = 5
+export const LOGIN_LOCK_MINUTES = 15
+
+// Two-factor authentication, see utils/totp.js
+export const TWO_FACTOR_ISSUER = "Voir"
+// Time given to enter the code after the password was accepted
+export const TWO_FACTOR_CHALLENGE_MINUTES = 5
+export const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5
+export const TWO_FACTOR_RECOVERY_CODES = 10
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { removeContent, banAccount } from "../utils/moderation.js";
+import { notifyNewVideo } from "../utils/notifications.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+
+// Function to find the user targeted by an admin action
+// Admins cannot act on their own account, so they cannot lock themselves out
+const findOtherUser = async (userId, adminId) => {
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (adminId.equals(userId)) {
+    throw new ApiError(400, "You cannot do this to your own account");
+  }
+
+  const user = await User.findById(userId).select("-password -watchHistory");
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+// Controller to list users page by page, with optional filters
+const getUsers = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    query,
+    role,
+    isBanned,
+    emailVerified,
+    sortType = "desc",
+  } = req.query;
+
+  const match = {};
+
+  // Optionally search the username, email and full name
+  if (query?.trim()) {
+    // The query is matched as plain text, never as a pattern
+    const pattern = { $regex: escapeRegex(query.trim()), $options: "i" };
+    match.$or = [
+      { username: pattern },
+      { email: pattern },
+      { fullName: pattern },
+    ];
+  }
+
+  if (role) {
+    match.role = role;
+  }
+
+  if (isBanned !== undefined) {
+    match.isBanned = isBanned === "true" ? true : { $ne: true };
+  }
+
+  if (emailVerified !== undefined) {
+    match.emailVerified = emailVerified === "true" ? true : { $ne: true };
+  }
+
+  const aggregate = User.aggregate([
+    {
+      $match: match,
+    },
+    {
+      $sort: {
+        createdAt: sortType === "asc" ? 1 : -1,
+        _id: sortType === "asc" ? 1 : -1,
+      },
+    },
+    {
+      // Aggregations ignore the fields hidden in the schema, drop them here
+      $project: {
+        password: 0,
+        watchHistory: 0,
+        "twoFactor.secret": 0,
+        "twoFactor.pendingSecret": 0,
+        "twoFactor.lastUsedStep": 0,
+        "twoFactor.recoveryCodes": 0,
+      },
+    },
+  ]);
+
+  const users = await User.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+// Controller to ban a user, every session of the user is revoked
+const banUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+
+  const user = await findOtherUser(userId, req.user._id);
+
+  // Also signs the user out of every device
+  await banAccount(user, reason);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User banned successfully"));
+});
+
+// Controller to lift the ban of a user
+const unbanUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await findOtherUser(userId, req.user._id);
+
+  user.isBanned = false;
+  user.banReason = undefined;
+  user.bannedAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User unbanned successfully"));
+});
+
+// Controller to change the role of a user
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  const user = await findOtherUser(userId, req.user._id);
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+// Controller to unpublish any video, its owner cannot publish it again
+const unpublishVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { reason } = req.body;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await removeContent("video", videoId, reason);
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished successfully"));
+});
+
+// Controller to publish again a video that was unpublished by a moderator
+const restoreVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findOneAndUpdate(
+    { _id: videoId, moderatorUnpublishedAt: { $exists: true } },
+    {
+      $set: { isPublished: true },
+      $unset: { moderatorUnpublishedAt: 1, moderationReason: 1 },
+    },
+    { new: true }
+  );
+
+  if (!video) {
+    throw new ApiError(404, "No video unpublished by a moderator was found");
+  }
+
+  // Announced only if it never was before
+  await notifyNewVideo(video._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video restored successfully"));
+});
+
+// Controller to delete any comment
+const deleteAnyComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await removeContent("comment", commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+// Controller to delete any community post
+const deleteAnyPost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  if (!isValidObjectId(postId)) {
+    throw new ApiError(400, "Invalid post id");
+  }
+
+  const post = await removeContent("communityPost", postId);
+  if (!post) {
+    throw new ApiError(404, "Community post not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Community post deleted successfully"));
+});
+
+export {
+  getUsers,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  unpublishVideo,
+  restoreVideo,
+  deleteAnyComment,
+  deleteAnyPost,
+};
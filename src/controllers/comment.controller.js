@@ -0,0 +1,439 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Comment } from "../models/comment.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { notify } from "../utils/notifications.js";
+import {
+  findCommentableVideo,
+  findVisibleComment,
+} from "../utils/visibility.js";
+import { COMMENT_REPLY_PREVIEW_COUNT } from "../constants.js";
+
+// Function to find a comment of a video owned by the user, for pinning and hearting
+const findCommentOfOwnVideo = async (commentId, userId) => {
+  const { comment, video } = await findVisibleComment(commentId, userId);
+
+  if (!video.owner.equals(userId)) {
+    throw new ApiError(
+      403,
+      "Only the owner of the video can do this to its comments"
+    );
+  }
+
+  return comment;
+};
+
+// Function to read an optional boolean from the request body
+// When missing the current state is flipped, like the like toggles
+const parseDesiredState = (value, currentState) => {
+  if (value === undefined) return !currentState;
+  return value === true || value === "true";
+};
+
+// Stages matching the comments visible to a user, hidden ones are only shown to their owner
+const visibleCommentStages = (userId) => [
+  {
+    $match: {
+      $or: [{ isHidden: { $ne: true } }, { owner: userId }],
+    },
+  },
+];
+
+// Stages adding the owner, likes and edited marker to a list of comments
+const commentDetailsStages = (userId) => [
+  {
+    // Lookup the "users" collection to fetch details of the comment owner
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [
+        {
+          // Project only the required fields (fullName, username, avatar) from the owner
+          $project: {
+            fullName: 1,
+            username: 1,
+            avatar: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    // Flatten the "owner" array to a single object using $first
+    $addFields: {
+      owner: {
+        $first: "$owner",
+      },
+    },
+  },
+  {
+    // Lookup the likes of the comment
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "comment",
+      as: "likes",
+    },
+  },
+  {
+    $addFields: {
+      likesCount: {
+        $size: "$likes",
+      },
+      // Determine if the logged-in user liked this comment
+      isLiked: {
+        $in: [userId, "$likes.likedBy"],
+      },
+      isEdited: {
+        $gt: ["$editedAt", null],
+      },
+    },
+  },
+  {
+    // The previous versions are fetched separately
+    $project: {
+      likes: 0,
+      editHistory: 0,
+    },
+  },
+];
+
+// Controller to list the top-level comments of a video page by page
+// The pinned comment comes first, and every comment carries a preview of its replies
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { page = 1, limit = 10, sort = "newest" } = req.query;
+
+  if (!["newest", "oldest"].includes(sort)) {
+    throw new ApiError(400, "Sort must be either newest or oldest");
+  }
+
+  const video = await findCommentableVideo(videoId, req.user?._id);
+
+  const aggregate = Comment.aggregate([
+    {
+      // Match the top-level comments of the video, replies are listed under them
+      $match: {
+        video: new mongoose.Types.ObjectId(video._id),
+        parent: null,
+      },
+    },
+    ...visibleCommentStages(req.user?._id),
+    {
+      // Sort before paginating so every page follows the same order
+      $sort: {
+        isPinned: -1,
+        createdAt: sort === "oldest" ? 1 : -1,
+        _id: sort === "oldest" ? 1 : -1,
+      },
+    },
+    ...commentDetailsStages(req.user?._id),
+    {
+      // Lookup the first replies of the comment, the rest are fetched page by page
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "parent",
+        as: "replies",
+        pipeline: [
+          ...visibleCommentStages(req.user?._id),
+          {
+            $sort: {
+              createdAt: 1,
+              _id: 1,
+            },
+          },
+          {
+            $limit: COMMENT_REPLY_PREVIEW_COUNT,
+          },
+          ...commentDetailsStages(req.user?._id),
+        ],
+      },
+    },
+  ]);
+
+  const comments = await Comment.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+// Controller to list the replies of a comment page by page, oldest first
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+
+  const { comment } = await findVisibleComment(commentId, req.user?._id);
+
+  if (comment.parent) {
+    throw new ApiError(400, "Replies cannot have replies of their own");
+  }
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        parent: comment._id,
+      },
+    },
+    ...visibleCommentStages(req.user?._id),
+    {
+      $sort: {
+        createdAt: 1,
+        _id: 1,
+      },
+    },
+    ...commentDetailsStages(req.user?._id),
+  ]);
+
+  const replies = await Comment.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+// Controller to add a comment to a video as the logged-in user
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Comment content is required");
+  }
+
+  const video = await findCommentableVideo(videoId, req.user?._id);
+
+  const comment = await Comment.create({
+    content: content.trim(),
+    video: video._id,
+    owner: req.user?._id,
+  });
+
+  await notify({
+    recipients: [video.owner],
+    actor: req.user?._id,
+    type: "newComment",
+    video: video._id,
+    comment: comment._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+// Controller to reply to a comment as the logged-in user
+// Threads are one level deep, replying to a reply adds to the thread of its parent
+const addReply = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Reply content is required");
+  }
+
+  const { comment, video } = await findVisibleComment(commentId, req.user?._id);
+  const parentId = comment.parent || comment._id;
+
+  const reply = await Comment.create({
+    content: content.trim(),
+    video: video._id,
+    owner: req.user?._id,
+    parent: parentId,
+  });
+
+  await Comment.updateOne({ _id: parentId }, { $inc: { repliesCount: 1 } });
+
+  await notify({
+    recipients: [comment.owner],
+    actor: req.user?._id,
+    type: "commentReply",
+    video: video._id,
+    comment: reply._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, reply, "Reply added successfully"));
+});
+
+// Controller to edit a comment, only its owner is allowed to do so
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Comment content is required");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (!comment.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to edit this comment");
+  }
+
+  // Keep the previous version, saving the same content again is not an edit
+  if (comment.content !== content.trim()) {
+    const editedAt = new Date();
+    comment.editHistory.push({
+      content: comment.content,
+      replacedAt: editedAt,
+    });
+    comment.content = content.trim();
+    comment.editedAt = editedAt;
+    await comment.save();
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+// Controller to delete a comment and its replies, only its owner is allowed to do so
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  if (!comment.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to delete this comment");
+  }
+
+  // Replies and likes are deleted along with the comment
+  await Comment.deleteWithReplies(comment);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+// Controller to list when a comment was edited, oldest first
+// Previous versions may hold what their owner wanted gone, so their content
+// is only shown to the owner and to moderators
+const getCommentEditHistory = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const { comment } = await findVisibleComment(commentId, req.user?._id);
+
+  const canSeePreviousContent =
+    comment.owner.equals(req.user?._id) ||
+    ["moderator", "admin"].includes(req.user?.role);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        _id: comment._id,
+        content: comment.content,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        editHistory: comment.editHistory.map(({ content, replacedAt }) =>
+          canSeePreviousContent ? { content, replacedAt } : { replacedAt }
+        ),
+      },
+      "Comment history fetched successfully"
+    )
+  );
+});
+
+// Controller to pin or unpin a comment as the owner of the video
+// Only one comment is pinned per video, pinning another one replaces it
+const togglePinComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findCommentOfOwnVideo(commentId, req.user?._id);
+
+  if (comment.parent) {
+    throw new ApiError(400, "Only top-level comments can be pinned");
+  }
+
+  const isPinned = parseDesiredState(req.body?.pinned, comment.isPinned);
+
+  if (isPinned) {
+    await Comment.updateMany(
+      { video: comment.video, isPinned: true, _id: { $ne: comment._id } },
+      { $set: { isPinned: false } }
+    );
+  }
+
+  try {
+    comment.isPinned = isPinned;
+    await comment.save();
+  } catch (error) {
+    // Another comment was pinned at the same time, the unique index keeps a single one
+    if (error?.code === 11000) {
+      throw new ApiError(409, "Another comment was just pinned, try again");
+    }
+    throw error;
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        comment,
+        isPinned
+          ? "Comment pinned successfully"
+          : "Comment unpinned successfully"
+      )
+    );
+});
+
+// Controller to heart or unheart a comment or reply as the owner of the video
+const toggleHeartComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findCommentOfOwnVideo(commentId, req.user?._id);
+
+  comment.isHearted = parseDesiredState(req.body?.hearted, comment.isHearted);
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        comment,
+        comment.isHearted
+          ? "Comment hearted successfully"
+          : "Comment unhearted successfully"
+      )
+    );
+});
+
+export {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  addReply,
+  updateComment,
+  deleteComment,
+  getCommentEditHistory,
+  togglePinComment,
+  toggleHeartComment,
+};
@@ -0,0 +1,169 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { CommunityPost } from "../models/communityPost.model.js";
+import { Like } from "../models/like.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Function to find a community post owned by the logged-in user
+const findOwnPost = async (postId, userId) => {
+  if (!isValidObjectId(postId)) {
+    throw new ApiError(400, "Invalid post id");
+  }
+
+  const post = await CommunityPost.findById(postId);
+  if (!post) {
+    throw new ApiError(404, "Community post not found");
+  }
+
+  if (!post.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to edit this post");
+  }
+
+  return post;
+};
+
+// Controller to create a text post on the logged-in user's channel
+const createPost = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Post content is required");
+  }
+
+  const post = await CommunityPost.create({
+    content: content.trim(),
+    owner: req.user?._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, post, "Community post created successfully"));
+});
+
+// Controller to list the posts of a channel page by page, newest first
+const getUserPosts = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const channel = await User.findById(userId).select("_id");
+  if (!channel) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  const aggregate = CommunityPost.aggregate([
+    {
+      // Hidden posts are only shown to their owner
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+        ...(!req.user?._id.equals(userId) && { isHidden: { $ne: true } }),
+      },
+    },
+    {
+      // Sort before paginating so every page follows the same order
+      $sort: {
+        createdAt: -1,
+        _id: -1,
+      },
+    },
+    {
+      // Lookup the "users" collection to fetch details of the post owner
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+      },
+    },
+    {
+      // Lookup the likes of the post
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "communityPost",
+        as: "likes",
+      },
+    },
+    {
+      $addFields: {
+        likesCount: {
+          $size: "$likes",
+        },
+        // Determine if the logged-in user liked this post
+        isLiked: {
+          $in: [req.user?._id, "$likes.likedBy"],
+        },
+      },
+    },
+    {
+      $project: {
+        likes: 0,
+      },
+    },
+  ]);
+
+  const posts = await CommunityPost.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Community posts fetched successfully"));
+});
+
+// Controller to edit a post, only its owner is allowed to do so
+const updatePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { content } = req.body;
+
+  if (!content?.trim()) {
+    throw new ApiError(400, "Post content is required");
+  }
+
+  const post = await findOwnPost(postId, req.user?._id);
+
+  post.content = content.trim();
+  await post.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, post, "Community post updated successfully"));
+});
+
+// Controller to delete a post along with its likes
+const deletePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await findOwnPost(postId, req.user?._id);
+
+  await CommunityPost.findByIdAndDelete(post._id);
+  await Like.deleteMany({ communityPost: post._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Community post deleted successfully"));
+});
+
+export { createPost, getUserPosts, updatePost, deletePost };
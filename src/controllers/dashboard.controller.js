@@ -0,0 +1,183 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Controller to fetch the channel statistics of the logged-in user
+const getChannelStats = asyncHandler(async (req, res) => {
+  // Number of top videos to return, between 1 and 20
+  const top = Math.min(Math.max(parseInt(req.query.top, 10) || 5, 1), 20);
+
+  const stats = await User.aggregate([
+    {
+      // Match the logged-in user
+      $match: {
+        _id: new mongoose.Types.ObjectId(req.user._id),
+      },
+    },
+    {
+      // Lookup all subscriptions where the user is the channel
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+      },
+    },
+    {
+      // Lookup all the videos of the channel, including unpublished ones, with their like count
+      $lookup: {
+        from: "videos",
+        localField: "_id",
+        foreignField: "owner",
+        as: "videos",
+        pipeline: [
+          {
+            $lookup: {
+              from: "likes",
+              localField: "_id",
+              foreignField: "video",
+              as: "likes",
+            },
+          },
+          {
+            $project: {
+              views: 1,
+              likesCount: {
+                $size: "$likes",
+              },
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Lookup the most viewed videos of the channel
+      $lookup: {
+        from: "videos",
+        localField: "_id",
+        foreignField: "owner",
+        as: "topVideos",
+        pipeline: [
+          {
+            $sort: {
+              views: -1,
+              createdAt: -1,
+            },
+          },
+          {
+            $limit: top,
+          },
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+              duration: 1,
+              views: 1,
+              isPublished: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Add computed fields to the aggregation result
+      $addFields: {
+        totalVideos: {
+          $size: "$videos",
+        },
+        totalViews: {
+          $sum: "$videos.views",
+        },
+        totalLikes: {
+          $sum: "$videos.likesCount",
+        },
+        subscribersCount: {
+          $size: "$subscribers",
+        },
+      },
+    },
+    {
+      // Project only the required fields in the final output
+      $project: {
+        _id: 0,
+        totalVideos: 1,
+        totalViews: 1,
+        totalLikes: 1,
+        subscribersCount: 1,
+        topVideos: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats[0], "Channel stats fetched successfully"));
+});
+
+// Controller to list all the videos of the logged-in user, including unpublished ones
+const getChannelVideos = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const aggregate = Video.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(req.user._id),
+      },
+    },
+    {
+      // Sort before paginating so every page follows the same order
+      $sort: {
+        createdAt: -1,
+        _id: -1,
+      },
+    },
+    {
+      // Lookup the likes of the video
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "video",
+        as: "likes",
+      },
+    },
+    {
+      // Lookup the comments of the video
+      $lookup: {
+        from: "comments",
+        localField: "_id",
+        foreignField: "video",
+        as: "comments",
+      },
+    },
+    {
+      $addFields: {
+        likesCount: {
+          $size: "$likes",
+        },
+        commentsCount: {
+          $size: "$comments",
+        },
+      },
+    },
+    {
+      $project: {
+        likes: 0,
+        comments: 0,
+      },
+    },
+  ]);
+
+  const videos = await Video.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+export { getChannelStats, getChannelVideos };
@@ -0,0 +1,247 @@
+import mongoose from "mongoose";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Recommendation } from "../models/recommendation.model.js";
+import { SubscriptionSchema as Subscription } from "../models/subscription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Function to build the stages that join the public details of the owner of each video
+const ownerStages = () => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [
+        {
+          $project: {
+            fullName: 1,
+            username: 1,
+            avatar: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    // Flatten the "owner" array to a single object using $first
+    $addFields: {
+      owner: {
+        $first: "$owner",
+      },
+    },
+  },
+];
+
+// Function to list trending videos page by page, highest score first
+// `match` narrows the listing further, e.g. to leave out watched videos
+const trendingPage = async (match, page, limit) => {
+  const aggregate = Video.aggregate([
+    {
+      $match: {
+        isPublished: true,
+        ...visibleVideoFilter,
+        trendingScore: { $gt: 0 },
+        ...match,
+      },
+    },
+    {
+      // _id breaks ties so every page follows the same order
+      $sort: {
+        trendingScore: -1,
+        _id: -1,
+      },
+    },
+    ...ownerStages(),
+  ]);
+
+  return await Video.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+};
+
+// Controller to list the videos trending right now
+// Scores are precomputed by the updateFeedScores job
+const getTrendingFeed = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const videos = await trendingPage({}, page, limit);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Trending videos fetched successfully"));
+});
+
+// Controller to list the videos recommended to the logged-in user
+// Users without recommendations yet get the trending videos they have not watched
+const getRecommendedFeed = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  // Videos watched since the recommendations were computed are left out too
+  const watchedIds = req.user.watchHistory.map((entry) => entry.video);
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  const recommendation = await Recommendation.findOne({ user: userId });
+
+  if (!recommendation?.videos.length) {
+    const videos = await trendingPage(
+      { _id: { $nin: watchedIds }, owner: { $ne: userId } },
+      page,
+      limit
+    );
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { ...videos, isPersonalized: false },
+          "Recommended videos fetched successfully"
+        )
+      );
+  }
+
+  const recommendedIds = recommendation.videos.map((entry) => entry.video);
+
+  const aggregate = Video.aggregate([
+    {
+      $match: {
+        _id: { $in: recommendedIds, $nin: watchedIds },
+        // Videos may have been unpublished since they were recommended
+        isPublished: true,
+        ...visibleVideoFilter,
+      },
+    },
+    {
+      // Keep the order of the recommendations, best first
+      $addFields: {
+        rank: {
+          $indexOfArray: [recommendedIds, "$_id"],
+        },
+      },
+    },
+    {
+      $sort: {
+        rank: 1,
+      },
+    },
+    {
+      $project: {
+        rank: 0,
+      },
+    },
+    ...ownerStages(),
+  ]);
+
+  const videos = await Video.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...videos, isPersonalized: true },
+        "Recommended videos fetched successfully"
+      )
+    );
+});
+
+// Controller to list the latest uploads of the channels the logged-in user subscribes to
+// Videos uploaded since the feed was last marked as seen have `isNew` set
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, channelId } = req.query;
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  let channelIds = await Subscription.distinct("channel", {
+    subscriber: userId,
+  });
+
+  // Optionally show a single channel, which has to be one of the subscriptions
+  if (channelId) {
+    channelIds = channelIds.filter((id) => id.equals(channelId));
+    if (!channelIds.length) {
+      throw new ApiError(404, "You are not subscribed to this channel");
+    }
+  }
+
+  const match = {
+    owner: { $in: channelIds },
+    isPublished: true,
+    ...visibleVideoFilter,
+  };
+
+  // Users who never marked the feed as seen get every video marked as new
+  const lastSeenAt = req.user.subscriptionsFeedSeenAt || null;
+
+  const aggregate = Video.aggregate([
+    {
+      $match: match,
+    },
+    {
+      // Newest uploads first, _id breaks ties so every page follows the same order
+      $sort: {
+        createdAt: -1,
+        _id: -1,
+      },
+    },
+    {
+      $addFields: {
+        isNew: lastSeenAt ? { $gt: ["$createdAt", lastSeenAt] } : true,
+      },
+    },
+    ...ownerStages(),
+  ]);
+
+  const videos = await Video.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  const newVideosCount = lastSeenAt
+    ? await Video.countDocuments({ ...match, createdAt: { $gt: lastSeenAt } })
+    : videos.totalDocs;
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...videos, lastSeenAt, newVideosCount },
+        "Subscriptions feed fetched successfully"
+      )
+    );
+});
+
+// Controller to mark every video of the subscriptions feed as seen
+// Clients call it once the user has looked at the feed, so markers stay put while paging
+const markSubscriptionsFeedSeen = asyncHandler(async (req, res) => {
+  const seenAt = new Date();
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $set: { subscriptionsFeedSeenAt: seenAt },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { lastSeenAt: seenAt },
+        "Subscriptions feed marked as seen"
+      )
+    );
+});
+
+export {
+  getTrendingFeed,
+  getRecommendedFeed,
+  getSubscriptionsFeed,
+  markSubscriptionsFeedSeen,
+};
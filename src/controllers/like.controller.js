@@ -0,0 +1,213 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Like } from "../models/like.model.js";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { findVisibleComment, findVisiblePost } from "../utils/visibility.js";
+
+// Function to like or unlike a target for a user
+// When `liked` is a boolean the like is set to that state instead of being flipped,
+// which lets clients retry the same request safely
+const setLike = async (target, userId, liked) => {
+  const filter = { ...target, likedBy: userId };
+
+  const existingLike = await Like.findOne(filter);
+  const shouldLike = typeof liked === "boolean" ? liked : !existingLike;
+
+  if (!shouldLike) {
+    if (existingLike) {
+      await Like.deleteOne({ _id: existingLike._id });
+    }
+  } else if (!existingLike) {
+    try {
+      await Like.create(filter);
+    } catch (error) {
+      // A concurrent request already created the like, the unique index keeps a single one
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  const likesCount = await Like.countDocuments(target);
+
+  return { isLiked: shouldLike, likesCount };
+};
+
+// Function to read the desired like state from the request body, if any
+const parseLiked = (liked) => {
+  if (liked === undefined) return undefined;
+  if (typeof liked === "boolean") return liked;
+  if (liked === "true" || liked === "false") return liked === "true";
+  throw new ApiError(400, "liked must be a boolean");
+};
+
+// Controller to like or unlike a video
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  // Unpublished videos can only be liked by their owner
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [
+      { isPublished: true, ...visibleVideoFilter },
+      { owner: req.user?._id },
+    ],
+  });
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const like = await setLike(
+    { video: video._id },
+    req.user?._id,
+    parseLiked(req.body?.liked)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        like,
+        like.isLiked ? "Video liked successfully" : "Video unliked successfully"
+      )
+    );
+});
+
+// Controller to like or unlike a comment
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  // Hidden comments and comments of videos the user cannot see are treated as missing
+  const { comment } = await findVisibleComment(commentId, req.user?._id);
+
+  const like = await setLike(
+    { comment: comment._id },
+    req.user?._id,
+    parseLiked(req.body?.liked)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        like,
+        like.isLiked
+          ? "Comment liked successfully"
+          : "Comment unliked successfully"
+      )
+    );
+});
+
+// Controller to like or unlike a community post
+const toggleCommunityPostLike = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  // Hidden posts can only be liked by their owner
+  const post = await findVisiblePost(postId, req.user?._id);
+
+  const like = await setLike(
+    { communityPost: post._id },
+    req.user?._id,
+    parseLiked(req.body?.liked)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        like,
+        like.isLiked ? "Post liked successfully" : "Post unliked successfully"
+      )
+    );
+});
+
+// Controller to list the videos liked by the logged-in user, most recent like first
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const likedVideos = await Like.aggregate([
+    {
+      // Match the video likes of the logged-in user
+      $match: {
+        likedBy: new mongoose.Types.ObjectId(req.user._id),
+        video: { $exists: true },
+      },
+    },
+    {
+      $sort: {
+        createdAt: -1,
+      },
+    },
+    {
+      // Lookup the liked video, skipping videos that are no longer published
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              isPublished: true,
+              ...visibleVideoFilter,
+            },
+          },
+          {
+            // Lookup the "users" collection to fetch details of the video owner
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                {
+                  $project: {
+                    fullName: 1,
+                    username: 1,
+                    avatar: 1,
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $addFields: {
+              owner: {
+                $first: "$owner",
+              },
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Drop the likes whose video was removed or unpublished
+      $unwind: "$video",
+    },
+    {
+      $replaceRoot: {
+        newRoot: {
+          $mergeObjects: ["$video", { likedAt: "$createdAt" }],
+        },
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+    );
+});
+
+export {
+  toggleVideoLike,
+  toggleCommentLike,
+  toggleCommunityPostLike,
+  getLikedVideos,
+};
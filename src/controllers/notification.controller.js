@@ -0,0 +1,252 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Notification } from "../models/notification.model.js";
+import { NotificationMute } from "../models/notificationMute.model.js";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { subscribeToNotifications } from "../utils/notifications.js";
+
+// Comment sent on idle streams so proxies do not close them, and the
+// moment the session of the stream is checked again
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Controller to list the notifications of the logged-in user page by page, newest first
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unreadOnly } = req.query;
+
+  const aggregate = Notification.aggregate([
+    {
+      $match: {
+        recipient: new mongoose.Types.ObjectId(req.user?._id),
+        ...(unreadOnly === "true" && { isRead: false }),
+      },
+    },
+    {
+      $sort: {
+        createdAt: -1,
+        _id: -1,
+      },
+    },
+    {
+      // Lookup the user who caused the notification, keeping only public details
+      $lookup: {
+        from: "users",
+        localField: "actor",
+        foreignField: "_id",
+        as: "actor",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Lookup the video the notification is about, if any
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        actor: {
+          $first: "$actor",
+        },
+        video: {
+          $first: "$video",
+        },
+      },
+    },
+  ]);
+
+  const notifications = await Notification.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, notifications, "Notifications fetched successfully")
+    );
+});
+
+// Controller to count the unread notifications of the logged-in user
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({
+    recipient: req.user?._id,
+    isRead: false,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { unreadCount }, "Unread count fetched successfully")
+    );
+});
+
+// Controller to mark a single notification as read
+const markAsRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  if (!isValidObjectId(notificationId)) {
+    throw new ApiError(400, "Invalid notification id");
+  }
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, recipient: req.user?._id },
+    { $set: { isRead: true } },
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new ApiError(404, "Notification not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+// Controller to mark every notification of the logged-in user as read
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user?._id, isRead: false },
+    { $set: { isRead: true } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { markedCount: result.modifiedCount },
+        "All notifications marked as read"
+      )
+    );
+});
+
+// Controller to push the notifications of the logged-in user as Server-Sent Events
+// The stream starts with the unread count, then sends every new notification
+const streamNotifications = asyncHandler(async (req, res) => {
+  const unreadCount = await Notification.countDocuments({
+    recipient: req.user?._id,
+    isRead: false,
+  });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the events
+    "X-Accel-Buffering": "no",
+  });
+  res.status(200).flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send("unreadCount", { unreadCount });
+
+  const unsubscribe = subscribeToNotifications(req.user._id, (notification) =>
+    send("notification", notification)
+  );
+
+  // Close the stream once its session is revoked, the access token is only checked once
+  const heartbeat = setInterval(async () => {
+    try {
+      const isSessionActive = await Session.exists({ _id: req.sessionId });
+      if (!isSessionActive) {
+        send("sessionRevoked", {});
+        return res.end();
+      }
+      res.write(": heartbeat\n\n");
+    } catch (error) {
+      console.error("Error while checking the notification stream:", error);
+    }
+  }, STREAM_HEARTBEAT_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Controller to list the channels the logged-in user muted notifications from
+const getMutedChannels = asyncHandler(async (req, res) => {
+  const mutes = await NotificationMute.find({ user: req.user?._id })
+    .populate("channel", "fullName username avatar")
+    .select("channel types updatedAt");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, mutes, "Muted channels fetched successfully"));
+});
+
+// Controller to choose the notification types muted for a channel
+// An empty list unmutes the channel
+const setChannelMute = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+  const types = [...new Set(req.body.types)];
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  const channel = await User.findById(channelId).select("_id");
+  if (!channel) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  const filter = { user: req.user?._id, channel: channel._id };
+
+  if (!types.length) {
+    await NotificationMute.deleteOne(filter);
+  } else {
+    await NotificationMute.updateOne(
+      filter,
+      { $set: { types } },
+      { upsert: true }
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { channel: channel._id, types },
+        types.length
+          ? "Channel muted successfully"
+          : "Channel unmuted successfully"
+      )
+    );
+});
+
+export {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  streamNotifications,
+  getMutedChannels,
+  setChannelMute,
+};
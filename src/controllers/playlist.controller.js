@@ -0,0 +1,437 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Playlist } from "../models/playlist.model.js";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Function to read the public/private flag from the request body, if any
+const parseIsPublic = (isPublic) => {
+  if (isPublic === undefined) return undefined;
+  if (typeof isPublic === "boolean") return isPublic;
+  if (isPublic === "true" || isPublic === "false") return isPublic === "true";
+  throw new ApiError(400, "isPublic must be a boolean");
+};
+
+// Function to find a playlist owned by the logged-in user
+const findOwnPlaylist = async (playlistId, userId) => {
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+
+  // Private playlists of other users are reported as missing
+  if (!playlist || (!playlist.isPublic && !playlist.owner.equals(userId))) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  if (!playlist.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to edit this playlist");
+  }
+
+  return playlist;
+};
+
+// Controller to create a playlist for the logged-in user
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+  const isPublic = parseIsPublic(req.body.isPublic);
+
+  if ([name, description].some((field) => !field?.trim())) {
+    throw new ApiError(400, "Name and description are required");
+  }
+
+  const playlist = await Playlist.create({
+    name: name.trim(),
+    description: description.trim(),
+    owner: req.user?._id,
+    isPublic,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+// Controller to list the playlists of a user with their video count and total duration
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const match = { owner: new mongoose.Types.ObjectId(userId) };
+
+  // Private playlists are only listed for their owner
+  if (!req.user?._id.equals(userId)) {
+    match.isPublic = true;
+  }
+
+  const playlists = await Playlist.aggregate([
+    {
+      $match: match,
+    },
+    {
+      // Lookup the videos of the playlist that are still visible
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "videos",
+        pipeline: [
+          {
+            $match: {
+              $or: [
+                { isPublished: true, ...visibleVideoFilter },
+                { owner: req.user?._id },
+              ],
+            },
+          },
+          {
+            $project: {
+              duration: 1,
+              thumbnail: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        videosCount: {
+          $size: "$videos",
+        },
+        totalDuration: {
+          $sum: "$videos.duration",
+        },
+        // The first visible video is used as the cover of the playlist
+        thumbnail: {
+          $first: "$videos.thumbnail",
+        },
+      },
+    },
+    {
+      $project: {
+        videos: 0,
+      },
+    },
+    {
+      $sort: {
+        updatedAt: -1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+// Controller to fetch a playlist with its videos expanded, in playlist order
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  if (!isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.aggregate([
+    {
+      // Private playlists are only visible to their owner
+      $match: {
+        _id: new mongoose.Types.ObjectId(playlistId),
+        $or: [{ isPublic: true }, { owner: req.user?._id }],
+      },
+    },
+    {
+      // Lookup the videos of the playlist that are still visible
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "videoDocs",
+        pipeline: [
+          {
+            $match: {
+              $or: [
+                { isPublished: true, ...visibleVideoFilter },
+                { owner: req.user?._id },
+              ],
+            },
+          },
+          {
+            // Lookup the "users" collection to fetch details of the video owner
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                {
+                  $project: {
+                    fullName: 1,
+                    username: 1,
+                    avatar: 1,
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $addFields: {
+              owner: {
+                $first: "$owner",
+              },
+            },
+          },
+        ],
+      },
+    },
+    {
+      // $lookup does not keep the order of the array, so map the ids back to their videos
+      $addFields: {
+        videos: {
+          $filter: {
+            input: {
+              $map: {
+                input: "$videos",
+                as: "videoId",
+                in: {
+                  $first: {
+                    $filter: {
+                      input: "$videoDocs",
+                      as: "video",
+                      cond: { $eq: ["$$video._id", "$$videoId"] },
+                    },
+                  },
+                },
+              },
+            },
+            as: "video",
+            // Videos that were removed or unpublished map to null
+            cond: { $ne: ["$$video", null] },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        videosCount: {
+          $size: "$videos",
+        },
+        totalDuration: {
+          $sum: "$videos.duration",
+        },
+      },
+    },
+    {
+      // Lookup the owner of the playlist
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+      },
+    },
+    {
+      $project: {
+        videoDocs: 0,
+      },
+    },
+  ]);
+
+  if (!playlist.length) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist[0], "Playlist fetched successfully"));
+});
+
+// Controller to add a video at the end of a playlist
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnPlaylist(playlistId, req.user?._id);
+
+  // Unpublished videos can only be added by their owner
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [
+      { isPublished: true, ...visibleVideoFilter },
+      { owner: req.user?._id },
+    ],
+  });
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (playlist.videos.some((id) => id.equals(video._id))) {
+    throw new ApiError(409, "Video is already in the playlist");
+  }
+
+  // $addToSet keeps a single copy even if two requests race each other
+  const updatedPlaylist = await Playlist.findByIdAndUpdate(
+    playlist._id,
+    {
+      $addToSet: { videos: video._id },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedPlaylist,
+        "Video added to playlist successfully"
+      )
+    );
+});
+
+// Controller to remove a video from a playlist
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnPlaylist(playlistId, req.user?._id);
+
+  if (!playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(404, "Video is not in the playlist");
+  }
+
+  const updatedPlaylist = await Playlist.findByIdAndUpdate(
+    playlist._id,
+    {
+      $pull: { videos: new mongoose.Types.ObjectId(videoId) },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedPlaylist,
+        "Video removed from playlist successfully"
+      )
+    );
+});
+
+// Controller to reorder the videos of a playlist
+// The body has to list every video of the playlist exactly once, in the new order
+const reorderPlaylistVideos = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { videos } = req.body;
+
+  if (!Array.isArray(videos) || !videos.every((id) => isValidObjectId(id))) {
+    throw new ApiError(400, "Videos must be an array of video ids");
+  }
+
+  const playlist = await findOwnPlaylist(playlistId, req.user?._id);
+
+  const current = playlist.videos.map((id) => id.toString());
+  const requested = videos.map((id) => id.toString());
+
+  const isSameSet =
+    requested.length === current.length &&
+    new Set(requested).size === requested.length &&
+    requested.every((id) => current.includes(id));
+
+  if (!isSameSet) {
+    throw new ApiError(
+      400,
+      "Videos must contain every video of the playlist exactly once"
+    );
+  }
+
+  playlist.videos = requested;
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist reordered successfully"));
+});
+
+// Controller to update the name, description and privacy of a playlist
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description } = req.body;
+  const isPublic = parseIsPublic(req.body.isPublic);
+
+  if (!name?.trim() && !description?.trim() && isPublic === undefined) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const playlist = await findOwnPlaylist(playlistId, req.user?._id);
+
+  if (name?.trim()) {
+    playlist.name = name.trim();
+  }
+
+  if (description?.trim()) {
+    playlist.description = description.trim();
+  }
+
+  if (isPublic !== undefined) {
+    playlist.isPublic = isPublic;
+  }
+
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+// Controller to delete a playlist
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await findOwnPlaylist(playlistId, req.user?._id);
+
+  await Playlist.findByIdAndDelete(playlist._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideos,
+  updatePlaylist,
+  deletePlaylist,
+};
@@ -0,0 +1,439 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Report } from "../models/report.model.js";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { CommunityPost } from "../models/communityPost.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  setContentHidden,
+  removeContent,
+  banAccount,
+  warnAccount,
+} from "../utils/moderation.js";
+import { REPORT_AUTO_HIDE_THRESHOLD } from "../constants.js";
+
+// How each kind of target is found, and the fields shown to moderators
+// `visible` matches what users are allowed to see, as on the read paths
+const targets = {
+  video: {
+    model: Video,
+    preview: "title thumbnail owner isPublished",
+    visible: { isPublished: true, ...visibleVideoFilter },
+  },
+  comment: {
+    model: Comment,
+    preview: "content video owner",
+    visible: { isHidden: { $ne: true } },
+  },
+  communityPost: {
+    model: CommunityPost,
+    preview: "content owner",
+    visible: { isHidden: { $ne: true } },
+  },
+  channel: { model: User, preview: "username fullName avatar" },
+};
+
+// Function to find the owner of a reported target, users cannot report themselves
+// Content the user is not allowed to see is treated as missing
+const findTargetOwner = async (targetType, targetId, userId) => {
+  if (!isValidObjectId(targetId)) {
+    throw new ApiError(400, "Invalid target id");
+  }
+
+  const { model, visible } = targets[targetType];
+  const target = await model
+    .findOne({
+      _id: targetId,
+      ...(visible && { $or: [visible, { owner: userId }] }),
+    })
+    .select("owner video");
+
+  // A comment is only visible along with its video
+  const isVisible =
+    target &&
+    (targetType !== "comment" ||
+      (await Video.exists({
+        _id: target.video,
+        $or: [targets.video.visible, { owner: userId }],
+      })));
+
+  if (!isVisible) {
+    throw new ApiError(404, "Reported content not found");
+  }
+
+  // A channel is owned by the user it belongs to
+  const ownerId = targetType === "channel" ? target._id : target.owner;
+
+  if (ownerId?.equals(userId)) {
+    throw new ApiError(400, "You cannot report your own content");
+  }
+
+  return ownerId;
+};
+
+// Function to add a report to the open case of a target, or open one
+// A user reporting the same target again only updates their previous report
+const addToCase = async (targetType, targetId, targetOwner, entry) => {
+  const openCase = { targetType, target: targetId, status: "open" };
+
+  const updatedCase = await Report.findOneAndUpdate(
+    { ...openCase, "reports.reporter": entry.reporter },
+    {
+      $set: {
+        "reports.$.reason": entry.reason,
+        "reports.$.details": entry.details,
+        "reports.$.reportedAt": entry.reportedAt,
+      },
+    },
+    { new: true }
+  );
+  if (updatedCase) return updatedCase;
+
+  try {
+    return await Report.findOneAndUpdate(
+      { ...openCase, "reports.reporter": { $ne: entry.reporter } },
+      {
+        $push: { reports: entry },
+        $inc: { reportsCount: 1 },
+        $setOnInsert: { targetOwner },
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Another request opened the case at the same time, add the report to it
+    if (error?.code === 11000) {
+      return await addToCase(targetType, targetId, targetOwner, entry);
+    }
+    throw error;
+  }
+};
+
+// Controller to report a video, comment, community post or channel
+const createReport = asyncHandler(async (req, res) => {
+  const { targetType, targetId, reason, details } = req.body;
+
+  const targetOwner = await findTargetOwner(
+    targetType,
+    targetId,
+    req.user?._id
+  );
+
+  let report = await addToCase(
+    targetType,
+    new mongoose.Types.ObjectId(targetId),
+    targetOwner,
+    {
+      reporter: req.user?._id,
+      reason,
+      details: details?.trim(),
+      reportedAt: new Date(),
+    }
+  );
+
+  // Hide the content until a moderator looks at it once enough users reported it
+  // Channels stay visible, banning one is always a moderator's decision
+  if (
+    targetType !== "channel" &&
+    !report.isContentHidden &&
+    report.reportsCount >= REPORT_AUTO_HIDE_THRESHOLD
+  ) {
+    await setContentHidden(targetType, report.target, true);
+    report = await Report.findByIdAndUpdate(
+      report._id,
+      { $set: { isContentHidden: true } },
+      { new: true }
+    );
+  }
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        _id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        status: report.status,
+      },
+      "Report submitted successfully"
+    )
+  );
+});
+
+// Controller to list the reports of the logged-in user along with their outcome
+const getMyReports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const userId = new mongoose.Types.ObjectId(req.user?._id);
+
+  const aggregate = Report.aggregate([
+    {
+      $match: {
+        "reports.reporter": userId,
+      },
+    },
+    {
+      $sort: {
+        updatedAt: -1,
+        _id: -1,
+      },
+    },
+    {
+      // Reporters only see their own report and the decision, not who else reported
+      $project: {
+        targetType: 1,
+        target: 1,
+        status: 1,
+        report: {
+          $first: {
+            $filter: {
+              input: "$reports",
+              cond: { $eq: ["$$this.reporter", userId] },
+            },
+          },
+        },
+        outcome: "$resolution.action",
+        resolvedAt: "$resolution.resolvedAt",
+      },
+    },
+  ]);
+
+  const reports = await Report.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, reports, "Reports fetched successfully"));
+});
+
+// Function to attach a short preview of their target to a page of cases
+const addTargetPreviews = async (cases) => {
+  for (const [targetType, { model, preview }] of Object.entries(targets)) {
+    const ids = cases
+      .filter((report) => report.targetType === targetType)
+      .map((report) => report.target);
+    if (!ids.length) continue;
+
+    const documents = await model.find({ _id: { $in: ids } }).select(preview);
+    const byId = new Map(documents.map((doc) => [String(doc._id), doc]));
+
+    for (const report of cases) {
+      if (report.targetType === targetType) {
+        // null when the content was deleted since it was reported
+        report.targetPreview = byId.get(String(report.target)) || null;
+      }
+    }
+  }
+
+  return cases;
+};
+
+// Controller to list the cases waiting for a moderator, most reported first
+const getReportQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = "open", targetType } = req.query;
+
+  const aggregate = Report.aggregate([
+    {
+      $match: {
+        status,
+        ...(targetType && { targetType }),
+      },
+    },
+    {
+      $sort: {
+        reportsCount: -1,
+        createdAt: 1,
+        _id: 1,
+      },
+    },
+    {
+      // Lookup the owner of the reported content, keeping only public details
+      $lookup: {
+        from: "users",
+        localField: "targetOwner",
+        foreignField: "_id",
+        as: "targetOwner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+              isBanned: 1,
+              warningsCount: { $size: { $ifNull: ["$warnings", []] } },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        targetOwner: {
+          $first: "$targetOwner",
+        },
+      },
+    },
+    {
+      // Reporters are only listed when a single case is opened
+      $project: {
+        reports: 0,
+      },
+    },
+  ]);
+
+  const reports = await Report.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+  await addTargetPreviews(reports.docs);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, reports, "Report queue fetched successfully"));
+});
+
+// Controller to fetch a case with every report it gathered
+const getReportById = asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+
+  if (!isValidObjectId(reportId)) {
+    throw new ApiError(400, "Invalid report id");
+  }
+
+  const report = await Report.findById(reportId)
+    .populate("reports.reporter", "fullName username avatar")
+    .populate("targetOwner", "fullName username avatar isBanned warnings")
+    .populate("resolution.moderator", "fullName username")
+    .lean();
+  if (!report) {
+    throw new ApiError(404, "Report not found");
+  }
+
+  const [reportWithPreview] = await addTargetPreviews([report]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, reportWithPreview, "Report fetched successfully")
+    );
+});
+
+// Controller to resolve a case as a moderator
+//   dismiss       - nothing wrong, hidden content is shown again
+//   removeContent - the content is removed
+//   warnOwner     - the content is removed and its owner warned
+//   banOwner      - the content is removed and its owner banned, admins only
+const resolveReport = asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+  const { action, note } = req.body;
+
+  if (!isValidObjectId(reportId)) {
+    throw new ApiError(400, "Invalid report id");
+  }
+
+  const openReport = await Report.findOne({ _id: reportId, status: "open" });
+  if (!openReport) {
+    throw new ApiError(404, "No open report was found");
+  }
+
+  const isChannel = openReport.targetType === "channel";
+
+  if (isChannel && action === "removeContent") {
+    throw new ApiError(
+      400,
+      "A channel can only be dismissed, warned or banned"
+    );
+  }
+
+  // Moderators cannot decide on reports about their own content
+  if (openReport.targetOwner?.equals(req.user?._id)) {
+    throw new ApiError(
+      403,
+      "You cannot resolve reports about your own content"
+    );
+  }
+
+  // Nor on reports they filed themselves
+  const isReporter = openReport.reports.some((entry) =>
+    entry.reporter?.equals(req.user?._id)
+  );
+  if (isReporter) {
+    throw new ApiError(403, "You cannot resolve reports you filed");
+  }
+
+  // Banning is an admin decision, as on the admin routes
+  let owner = null;
+  if (action === "banOwner") {
+    if (req.user?.role !== "admin") {
+      throw new ApiError(403, "Only admins can ban the owner");
+    }
+
+    owner = await User.findById(openReport.targetOwner);
+    if (owner?.role === "admin") {
+      throw new ApiError(403, "Admins cannot be banned");
+    }
+  }
+
+  const reason =
+    note?.trim() || "Reported content broke the community guidelines";
+
+  // Claim the case first, so two moderators cannot act on it at once
+  const report = await Report.findOneAndUpdate(
+    { _id: reportId, status: "open" },
+    {
+      $set: {
+        status: "resolved",
+        resolution: {
+          action,
+          note: note?.trim(),
+          moderator: req.user?._id,
+          resolvedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!report) {
+    throw new ApiError(409, "The report was just resolved by someone else");
+  }
+
+  try {
+    if (owner) {
+      await banAccount(owner, reason);
+    }
+
+    if (action === "dismiss") {
+      if (report.isContentHidden) {
+        await setContentHidden(report.targetType, report.target, false);
+      }
+    } else if (!isChannel) {
+      await removeContent(report.targetType, report.target, reason);
+    }
+
+    if (action === "warnOwner" && report.targetOwner) {
+      await warnAccount(report.targetOwner, reason);
+    }
+  } catch (error) {
+    // Reopen the case so it can be resolved again
+    await Report.updateOne(
+      { _id: report._id },
+      { $set: { status: "open" }, $unset: { resolution: "" } }
+    );
+    throw error;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, report, "Report resolved successfully"));
+});
+
+export {
+  createReport,
+  getMyReports,
+  getReportQueue,
+  getReportById,
+  resolveReport,
+};
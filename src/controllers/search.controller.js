@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { encodeCursor, decodeCursor, afterCursor } from "../utils/cursor.js";
+
+// Field every sort option orders the results by, "score" is the text relevance
+const sortFields = {
+  video: {
+    relevance: "score",
+    views: "views",
+    date: "createdAt",
+  },
+  channel: {
+    relevance: "score",
+    date: "createdAt",
+  },
+};
+
+// Function to build the stages shared by every search: the text match must come
+// first, then the page is taken after the cursor in a stable order
+const searchStages = (match, sortField, cursor, limit) => [
+  {
+    $match: match,
+  },
+  {
+    $addFields: {
+      score: { $meta: "textScore" },
+    },
+  },
+  ...(cursor ? [{ $match: afterCursor(sortField, cursor) }] : []),
+  {
+    // _id breaks ties so items with the same value keep the same order on every page
+    $sort: {
+      [sortField]: -1,
+      _id: -1,
+    },
+  },
+  {
+    // One extra item tells whether there is a next page
+    $limit: limit + 1,
+  },
+];
+
+// Function to search published videos, filters only apply to videos
+const searchVideos = async (query, sortField, cursor, limit) => {
+  const { q, minDuration, maxDuration, uploadedAfter, uploadedBefore, userId } =
+    query;
+
+  const match = {
+    $text: { $search: q },
+    // Only published videos that finished processing are searchable
+    isPublished: true,
+    ...visibleVideoFilter,
+  };
+
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    match.duration = {
+      ...(minDuration !== undefined && { $gte: Number(minDuration) }),
+      ...(maxDuration !== undefined && { $lte: Number(maxDuration) }),
+    };
+  }
+
+  if (uploadedAfter || uploadedBefore) {
+    match.createdAt = {
+      ...(uploadedAfter && { $gte: new Date(uploadedAfter) }),
+      ...(uploadedBefore && { $lte: new Date(uploadedBefore) }),
+    };
+  }
+
+  if (userId) {
+    match.owner = new mongoose.Types.ObjectId(userId);
+  }
+
+  return await Video.aggregate([
+    ...searchStages(match, sortField, cursor, limit),
+    {
+      // Lookup the owner of each video, keeping only public details
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+      },
+    },
+  ]);
+};
+
+// Function to search channels by username and full name
+const searchChannels = async (query, sortField, cursor, limit, viewerId) => {
+  return await User.aggregate([
+    ...searchStages({ $text: { $search: query.q } }, sortField, cursor, limit),
+    {
+      // Lookup the subscribers of each channel
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+      },
+    },
+    {
+      $addFields: {
+        subscribersCount: {
+          $size: "$subscribers",
+        },
+        isSubscribed: {
+          $in: [viewerId, "$subscribers.subscriber"],
+        },
+      },
+    },
+    {
+      $project: {
+        fullName: 1,
+        username: 1,
+        avatar: 1,
+        subscribersCount: 1,
+        isSubscribed: 1,
+        score: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+};
+
+// Controller to search videos or channels, one page at a time
+// The response carries a cursor to pass back for the next page
+const search = asyncHandler(async (req, res) => {
+  const {
+    type = "video",
+    sortBy = "relevance",
+    cursor,
+    limit = 20,
+  } = req.query;
+
+  if (!req.query.q?.trim()) {
+    throw new ApiError(400, "Search query is required");
+  }
+
+  const sortField = sortFields[type]?.[sortBy];
+  if (!sortField) {
+    throw new ApiError(400, `Cannot sort ${type} results by ${sortBy}`);
+  }
+
+  const pageSize = parseInt(limit, 10);
+  const after = cursor ? decodeCursor(cursor, `${type}:${sortBy}`) : null;
+
+  const results =
+    type === "channel"
+      ? await searchChannels(
+          req.query,
+          sortField,
+          after,
+          pageSize,
+          req.user?._id
+        )
+      : await searchVideos(req.query, sortField, after, pageSize);
+
+  const hasMore = results.length > pageSize;
+  if (hasMore) {
+    results.pop();
+  }
+
+  const last = results[results.length - 1];
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        results,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(`${type}:${sortBy}`, last[sortField], last._id)
+          : null,
+      },
+      "Search results fetched successfully"
+    )
+  );
+});
+
+export { search };
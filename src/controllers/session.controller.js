@@ -0,0 +1,88 @@
+import { isValidObjectId } from "mongoose";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  // sameSite: "Strict",
+};
+
+// Controller to list the signed-in devices of the logged-in user
+const getActiveSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({ user: req.user._id })
+    .select("userAgent ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  // Flag the session the request was made from
+  const data = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.equals(req.sessionId),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Active sessions fetched successfully"));
+});
+
+// Controller to sign out a single device
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id");
+  }
+
+  const { deletedCount } = await Session.deleteOne({
+    _id: sessionId,
+    user: req.user._id,
+  });
+
+  if (!deletedCount) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  // Revoking the current session is the same as logging out
+  if (req.sessionId?.toString() === sessionId) {
+    res
+      .clearCookie("accessToken", cookieOptions)
+      .clearCookie("refreshToken", cookieOptions);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// Controller to sign out every device, optionally keeping the current one
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+
+  const filter = { user: req.user._id };
+  if (keepCurrent) {
+    filter._id = { $ne: req.sessionId };
+  }
+
+  const { deletedCount } = await Session.deleteMany(filter);
+
+  if (!keepCurrent) {
+    res
+      .clearCookie("accessToken", cookieOptions)
+      .clearCookie("refreshToken", cookieOptions);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedCount: deletedCount },
+        "Sessions revoked successfully"
+      )
+    );
+});
+
+export { getActiveSessions, revokeSession, revokeAllSessions };
@@ -0,0 +1,221 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { Notification } from "../models/notification.model.js";
+import { SubscriptionSchema as Subscription } from "../models/subscription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { notify } from "../utils/notifications.js";
+import { RESUBSCRIBE_NOTIFICATION_WINDOW_HOURS } from "../constants.js";
+
+// Function to build the lookup stages that expand a user id into a channel card
+// `isSubscribed` tells whether the logged-in user subscribes to that channel
+const channelCardStages = (localField, viewerId) => [
+  {
+    $lookup: {
+      from: "users",
+      localField,
+      foreignField: "_id",
+      as: localField,
+      pipeline: [
+        {
+          // Lookup the subscribers of the user to find out if the viewer is one of them
+          $lookup: {
+            from: "subscriptions",
+            localField: "_id",
+            foreignField: "channel",
+            as: "subscribers",
+          },
+        },
+        {
+          $addFields: {
+            subscribersCount: {
+              $size: "$subscribers",
+            },
+            isSubscribed: {
+              $in: [viewerId, "$subscribers.subscriber"],
+            },
+          },
+        },
+        {
+          $project: {
+            fullName: 1,
+            username: 1,
+            avatar: 1,
+            subscribersCount: 1,
+            isSubscribed: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    // Drop the subscriptions whose user no longer exists
+    $unwind: `$${localField}`,
+  },
+];
+
+// Controller to subscribe to or unsubscribe from a channel
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  // Users are not allowed to subscribe to their own channel
+  if (req.user?._id.equals(channelId)) {
+    throw new ApiError(400, "You cannot subscribe to your own channel");
+  }
+
+  const channel = await User.findById(channelId);
+  if (!channel) {
+    throw new ApiError(404, "Channel does not exist");
+  }
+
+  const filter = { subscriber: req.user?._id, channel: channel._id };
+
+  const existingSubscription = await Subscription.findOne(filter);
+
+  if (existingSubscription) {
+    await Subscription.deleteOne({ _id: existingSubscription._id });
+  } else {
+    try {
+      await Subscription.create(filter);
+
+      // Subscribing again does not notify the channel while the previous
+      // notification is unread or recent, so toggling cannot flood it
+      const alreadyNotified = await Notification.exists({
+        recipient: channel._id,
+        actor: req.user?._id,
+        type: "newSubscriber",
+        $or: [
+          { isRead: false },
+          {
+            createdAt: {
+              $gte: new Date(
+                Date.now() -
+                  RESUBSCRIBE_NOTIFICATION_WINDOW_HOURS * 60 * 60 * 1000
+              ),
+            },
+          },
+        ],
+      });
+
+      if (!alreadyNotified) {
+        await notify({
+          recipients: [channel._id],
+          actor: req.user?._id,
+          type: "newSubscriber",
+        });
+      }
+    } catch (error) {
+      // A concurrent request already subscribed, the unique index keeps a single one
+      if (error?.code !== 11000) throw error;
+    }
+  }
+
+  const subscribersCount = await Subscription.countDocuments({
+    channel: channel._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isSubscribed: !existingSubscription, subscribersCount },
+        existingSubscription
+          ? "Unsubscribed successfully"
+          : "Subscribed successfully"
+      )
+    );
+});
+
+// Controller to list the subscribers of a channel page by page
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+
+  if (!isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  const aggregate = Subscription.aggregate([
+    {
+      $match: {
+        channel: new mongoose.Types.ObjectId(channelId),
+      },
+    },
+    {
+      // Most recent subscribers first
+      $sort: {
+        createdAt: -1,
+        _id: -1,
+      },
+    },
+    ...channelCardStages("subscriber", req.user?._id),
+    {
+      $project: {
+        subscriber: 1,
+        subscribedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  const subscribers = await Subscription.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+// Controller to list the channels a user subscribes to page by page
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+
+  if (!isValidObjectId(subscriberId)) {
+    throw new ApiError(400, "Invalid subscriber id");
+  }
+
+  const aggregate = Subscription.aggregate([
+    {
+      $match: {
+        subscriber: new mongoose.Types.ObjectId(subscriberId),
+      },
+    },
+    {
+      // Most recent subscriptions first
+      $sort: {
+        createdAt: -1,
+        _id: -1,
+      },
+    },
+    ...channelCardStages("channel", req.user?._id),
+    {
+      $project: {
+        channel: 1,
+        subscribedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  const channels = await Subscription.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+export { toggleSubscription, getUserChannelSubscribers, getSubscribedChannels };
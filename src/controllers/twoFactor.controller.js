@@ -0,0 +1,159 @@
+import { User } from "../models/user.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+} from "../utils/totp.js";
+import { TWO_FACTOR_ISSUER } from "../constants.js";
+
+// Function to find the logged-in user along with their 2FA details, which are not selected by default
+const findUserWithTwoFactor = async (userId) => {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.pendingSecret"
+  );
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+// Function to require a fresh code from a user who enabled 2FA
+const requireTwoFactorCode = async (user, code) => {
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  const isCodeValid = await user.verifyTwoFactorCode(code);
+  if (!isCodeValid) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+};
+
+// Controller to start setting up 2FA, nothing changes until the first code is confirmed
+// Starting again replaces the secret of a setup that was not confirmed
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithTwoFactor(req.user?._id);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: TWO_FACTOR_ISSUER,
+        }),
+      },
+      "Scan the code with an authenticator app and confirm it with a first code"
+    )
+  );
+});
+
+// Controller to enable 2FA once the authenticator app gives a first valid code
+// The recovery codes are only ever shown in this response
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await findUserWithTwoFactor(req.user?._id);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Set up two-factor authentication first");
+  }
+
+  const step = verifyTotp(
+    decryptSecret(user.twoFactor.pendingSecret),
+    String(code).replace(/\s/g, "")
+  );
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  // The confirmation code cannot be used again to log in
+  user.twoFactor.lastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "Two-factor authentication enabled successfully"
+      )
+    );
+});
+
+// Controller to disable 2FA, a fresh code is needed so a stolen session cannot do it
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await findUserWithTwoFactor(req.user?._id);
+  await requireTwoFactorCode(user, code);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactor: { enabled: false } } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "Two-factor authentication disabled successfully"
+      )
+    );
+});
+
+// Controller to replace the recovery codes, the previous ones stop working
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await findUserWithTwoFactor(req.user?._id);
+  await requireTwoFactorCode(user, code);
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "Recovery codes generated successfully"
+      )
+    );
+});
+
+export {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
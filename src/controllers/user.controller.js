@@ -1,37 +1,49 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Token } from "../models/token.model.js";
 import mongoose from "mongoose";
-import {
-  uploadOnCloudinary,
-  deleteFromCloudinary,
-} from "../utils/cloudinary.js";
+import { uploadFile, deleteFile } from "../utils/storage.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import { sendMail } from "../utils/mailer.js";
+import { createRateLimiter } from "../middlewares/rateLimit.middleware.js";
+import {
+  EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS,
+  PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+  TWO_FACTOR_CHALLENGE_MINUTES,
+  TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS,
+  AUTH_RATE_LIMIT_WINDOW_MINUTES,
+  LOGIN_RATE_LIMIT_PER_ACCOUNT,
+} from "../constants.js";
+
+// Compared against when nobody has the given username or email, so the answer
+// takes as long as for an existing account and does not give it away
+const dummyPasswordHash = bcrypt.hashSync("not-a-real-password", 10);
+
+const loginAccountLimiter = createRateLimiter({
+  name: "login-account",
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  max: LOGIN_RATE_LIMIT_PER_ACCOUNT,
+  message: "Too many failed login attempts, try again later",
+});
 
-// Utility function to extract public_id from a Cloudinary URL
-const extractPublicIdFromUrl = (url) => {
-  return url.split("/").pop().split(".")[0];
-};
-
-// Function to generate access and refresh tokens for a user
-const generateAccessAndRefreshTokens = async (userId) => {
+// Function to generate access and refresh tokens for a session of a user
+// Returns the hash and expiry of the refresh token so the session can be stored
+const generateAccessAndRefreshTokens = (user, sessionId) => {
   try {
-    // Find user by ID
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
-
     // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    // Store refresh token in the database
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
-
-    return { accessToken, refreshToken };
+    const accessToken = user.generateAccessToken(sessionId);
+    const refreshToken = user.generateRefreshToken(sessionId);
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshTokenHash: Session.hashToken(refreshToken),
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+    };
   } catch (error) {
     throw new ApiError(
       500,
@@ -40,14 +52,106 @@ const generateAccessAndRefreshTokens = async (userId) => {
   }
 };
 
+// Function to build a link to a page of the front-end carrying a token
+const buildClientLink = (pathname, token) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || "";
+  return `${clientUrl.replace(/\/$/, "")}${pathname}?token=${token}`;
+};
+
+// Function to email a user the link that verifies their email address
+const sendVerificationEmail = async (user) => {
+  const token = await Token.issue(
+    user._id,
+    "emailVerification",
+    EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS * 60 * 60 * 1000
+  );
+
+  return await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "Please verify your email address by opening the link below:",
+      buildClientLink("/verify-email", token),
+      "",
+      `The link expires in ${EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS} hours.`,
+    ].join("\n"),
+  });
+};
+
+// Function to open a session for a new device and answer with its tokens
+const startSession = async (req, res, user) => {
+  // Open a new session for this device and generate its tokens
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken, refreshTokenHash, expiresAt } =
+    generateAccessAndRefreshTokens(user, sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash,
+    expiresAt,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  // Select specific user details to return to the frontend
+  const loggedInUser = await User.findById(user._id).select("-password");
+
+  const cookieOptions = {
+    httpOnly: true, // Ensure cookies are only accessible via HTTP (no JavaScript access)
+    secure: true, // Set secure flag to true in production
+    // sameSite: "Strict",
+  };
+
+  // Set cookies and return the user details along with tokens
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          user: loggedInUser,
+          accessToken,
+          refreshToken,
+        },
+        "User logged in successfully!"
+      )
+    );
+};
+
+// Function to email a user the link that lets them choose a new password
+const sendPasswordResetEmail = async (user) => {
+  const token = await Token.issue(
+    user._id,
+    "passwordReset",
+    PASSWORD_RESET_TOKEN_EXPIRY_MINUTES * 60 * 1000
+  );
+
+  return await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "You can choose a new password by opening the link below:",
+      buildClientLink("/reset-password", token),
+      "",
+      `The link expires in ${PASSWORD_RESET_TOKEN_EXPIRY_MINUTES} minutes.`,
+      "If you did not ask for it, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
 // Controller to handle user registration
 const registerUser = asyncHandler(async (req, res) => {
   const { fullName, email, username, password } = req.body;
 
   // Validate if all required fields are provided
-  if (
-    [fullName, email, username, password].some((field) => field?.trim() === "")
-  ) {
+  if ([fullName, email, username, password].some((field) => !field?.trim())) {
     throw new ApiError(400, "All fields are required");
   }
 
@@ -80,31 +184,38 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar image is required");
   }
 
-  // Upload images to Cloudinary
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  // Upload images to the storage
+  const avatar = await uploadFile(avatarLocalPath);
   const coverImage = coverImageLocalPath
-    ? await uploadOnCloudinary(coverImageLocalPath)
+    ? await uploadFile(coverImageLocalPath)
     : null;
 
+  if (!avatar) {
+    throw new ApiError(500, "Error while uploading avatar file");
+  }
+
   // Create a new user in the database
   const user = await User.create({
     fullName,
     avatar: avatar.url,
+    avatarAssetKey: avatar.assetKey,
     coverImage: coverImage?.url || "",
+    coverImageAssetKey: coverImage?.assetKey,
     email,
     password,
     username: username.toLowerCase(), // Save username in lowercase
   });
 
   // Retrieve and select specific fields to send back to the frontend
-  const createdUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  const createdUser = await User.findById(user._id).select("-password");
 
   if (!createdUser) {
     throw new ApiError(500, "Something went wrong while registering the user");
   }
 
+  // Ask the user to confirm they own the email address
+  await sendVerificationEmail(createdUser);
+
   // Send a successful response
   return res
     .status(201)
@@ -120,61 +231,139 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Enter either username or email");
   }
 
-  // Find user by username or email
+  const identifiers = {
+    username: username?.trim().toLowerCase(),
+    email: email?.trim().toLowerCase(),
+  };
+
+  // Find user by username or email, only matching the identifiers given
   const user = await User.findOne({
-    $or: [{ username }, { email }],
+    $or: Object.entries(identifiers)
+      .filter(([, value]) => value)
+      .map(([field, value]) => ({ [field]: value })),
   });
 
-  if (!user) {
-    throw new ApiError(404, "User not found!");
+  // Validate the provided password, unknown accounts are compared against a
+  // dummy hash so every answer below takes the same time
+  const isPasswordValid = await bcrypt.compare(
+    password,
+    user?.password || dummyPasswordHash
+  );
+
+  // Failed logins are counted for the account found, so mixing a made-up username
+  // with the email of an account still counts for that account
+  const accountKey = user
+    ? String(user._id)
+    : `${identifiers.username || ""}|${identifiers.email || ""}`;
+  await loginAccountLimiter.hit(res, accountKey);
+
+  // Locked accounts are refused like the login limiter refuses every account
+  if (user?.lockedUntil > Date.now()) {
+    res.set(
+      "Retry-After",
+      String(Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000))
+    );
+    throw new ApiError(429, "Too many failed login attempts, try again later");
   }
 
-  // Validate the provided password
-  const isPasswordValid = await user.isPasswordCorrect(password);
-  if (!isPasswordValid) {
+  // Unknown accounts and wrong passwords get the same answer
+  if (!user || !isPasswordValid) {
+    await user?.recordFailedLogin();
     throw new ApiError(401, "Invalid user credentials");
   }
 
-  // Generate access and refresh tokens
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id
-  );
+  // Only failed logins count towards the limit
+  await loginAccountLimiter.undo(accountKey);
 
-  // Select specific user details to return to the frontend
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  if (user.isBanned) {
+    throw new ApiError(403, "Your account has been banned");
+  }
 
-  const cookieOptions = {
-    httpOnly: true, // Ensure cookies are only accessible via HTTP (no JavaScript access)
-    secure: true, // Set secure flag to true in production
-    // sameSite: "Strict",
-  };
+  // With two-factor authentication the password alone is not enough, the client
+  // gets a short-lived challenge to send back along with a code
+  // Failed logins are only cleared once the code is right, so wrong codes
+  // keep counting towards the lock across challenges
+  if (user.twoFactor?.enabled) {
+    const challengeToken = await Token.issue(
+      user._id,
+      "twoFactorLogin",
+      TWO_FACTOR_CHALLENGE_MINUTES * 60 * 1000
+    );
 
-  // Set cookies and return the user details along with tokens
-  return res
-    .status(200)
-    .cookie("accessToken", accessToken, cookieOptions)
-    .cookie("refreshToken", refreshToken, cookieOptions)
-    .json(
+    return res.status(200).json(
       new ApiResponse(
         200,
         {
-          user: loggedInUser,
-          accessToken,
-          refreshToken,
+          twoFactorRequired: true,
+          challengeToken,
+          expiresIn: TWO_FACTOR_CHALLENGE_MINUTES * 60,
         },
-        "User logged in successfully!"
+        "Two-factor code required"
       )
     );
+  }
+
+  await user.clearFailedLogins();
+
+  return await startSession(req, res, user);
+});
+
+// Controller to finish a login with the code of the authenticator app or a recovery code
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const challenge = await Token.findValid(challengeToken, "twoFactorLogin");
+  if (!challenge) {
+    throw new ApiError(401, "Login challenge is invalid or has expired");
+  }
+
+  const user = await User.findById(challenge.user).select("+twoFactor.secret");
+  if (!user || user.isBanned) {
+    throw new ApiError(401, "Login challenge is invalid or has expired");
+  }
+
+  // Wrong codes lock the account like wrong passwords do
+  if (user.lockedUntil > Date.now()) {
+    await Token.deleteOne({ _id: challenge._id });
+    res.set(
+      "Retry-After",
+      String(Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000))
+    );
+    throw new ApiError(429, "Too many failed login attempts, try again later");
+  }
+
+  const isCodeValid = await user.verifyTwoFactorCode(code);
+  if (!isCodeValid) {
+    await user.recordFailedLogin();
+
+    // A challenge only allows a few wrong codes, then the password is needed again
+    const failedChallenge = await Token.findByIdAndUpdate(
+      challenge._id,
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (failedChallenge?.attempts >= TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS) {
+      await Token.deleteOne({ _id: challenge._id });
+    }
+
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  // Use up the challenge, a concurrent request may have used it first
+  const usedChallenge = await Token.consume(challengeToken, "twoFactorLogin");
+  if (!usedChallenge) {
+    throw new ApiError(401, "Login challenge is invalid or has expired");
+  }
+
+  await user.clearFailedLogins();
+
+  return await startSession(req, res, user);
 });
 
 // Controller to handle user logout
 const logoutUser = asyncHandler(async (req, res) => {
-  // Remove the refresh token from the user's record
-  await User.findByIdAndUpdate(req.user._id, {
-    $unset: { refreshToken: 1 },
-  });
+  // Revoke the session of this device, other devices stay signed in
+  await Session.deleteOne({ _id: req.sessionId, user: req.user._id });
 
   const cookieOptions = {
     httpOnly: true,
@@ -208,15 +397,15 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       process.env.REFRESH_TOKEN_SECRET
     );
 
-    // Find the user by the ID stored in the decoded refresh token
-    const user = await User.findById(decodedToken?._id);
-    if (!user) {
-      throw new ApiError(401, "Unauthorized request"); // Return an error if the user does not exist
+    // Tokens issued before sessions existed carry no session, they cannot be rotated
+    if (!decodedToken?.sid) {
+      throw new ApiError(401, "Refresh token is expired or used");
     }
 
-    // Check if the provided refresh token matches the stored refresh token for the user
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Refresh token is expired or used"); // Return an error if the tokens do not match
+    // Find the user by the ID stored in the decoded refresh token
+    const user = await User.findById(decodedToken?._id);
+    if (!user || user.isBanned) {
+      throw new ApiError(401, "Unauthorized request"); // Return an error if the user does not exist or was banned
     }
 
     // Define cookie options to ensure cookies are HTTP-only and secure
@@ -226,9 +415,38 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       // sameSite: 'strict',
     };
 
-    // Generate new access and refresh tokens for the user
-    const { accessToken, newRefreshToken } =
-      await generateAccessAndRefreshTokens(user._id);
+    // Generate new access and refresh tokens for the same session
+    const {
+      accessToken,
+      refreshToken: newRefreshToken,
+      refreshTokenHash,
+      expiresAt,
+    } = generateAccessAndRefreshTokens(user, decodedToken.sid);
+
+    // Rotate the refresh token, only if the provided one is the current token of the session
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decodedToken.sid,
+        user: user._id,
+        refreshTokenHash: Session.hashToken(incomingRefreshToken),
+      },
+      {
+        $set: {
+          refreshTokenHash,
+          expiresAt,
+          lastUsedAt: new Date(),
+          userAgent: req.get("user-agent"),
+          ip: req.ip,
+        },
+      }
+    );
+
+    if (!session) {
+      // A validly signed token that is no longer current was already rotated,
+      // so it may have been stolen: revoke the whole session it belongs to
+      await Session.deleteOne({ _id: decodedToken.sid, user: user._id });
+      throw new ApiError(401, "Refresh token is expired or used"); // Return an error if the tokens do not match
+    }
 
     // Set the new tokens in cookies and send them in the response
     return res
@@ -243,6 +461,11 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         )
       );
   } catch (error) {
+    // Let the error middleware tell expired tokens apart from invalid ones
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw error;
+    }
+
     // Handle any errors during token verification or generation
     throw new ApiError(401, error?.message || "Invalid refresh token");
   }
@@ -250,10 +473,10 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
 
 const changeCurrentPassword = asyncHandler(async (req, res) => {
   // Destructure the oldPassword and newPassword from the request body
-  const { oldPassword, newPassword } = req.body;
+  const { oldPassword, newPassword, code } = req.body;
 
   // Retrieve the currently authenticated user using the user ID from the request
-  const user = await User.findById(req.user?._id);
+  const user = await User.findById(req.user?._id).select("+twoFactor.secret");
 
   // Check if the old password provided is correct
   const isPasswordCorrect = await user.isPasswordCorrect(oldPassword);
@@ -263,6 +486,11 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Incorrect old password");
   }
 
+  // With two-factor authentication a fresh code is needed as well
+  if (user.twoFactor?.enabled && !(await user.verifyTwoFactorCode(code))) {
+    throw new ApiError(400, "A valid two-factor code is required");
+  }
+
   // Update the user's password to the new password
   user.password = newPassword;
 
@@ -291,17 +519,28 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     throw new ApiError(400, "All the fields are required");
   }
 
+  // A new email address has to be verified again
+  const isEmailChanged = email.trim().toLowerCase() !== req.user?.email;
+
   // Update the user's account details using their ID from req.user
   const user = await User.findByIdAndUpdate(
     req.user?._id, // Ensure req.user._id is provided
     {
-      $set: { fullName, email },
+      $set: {
+        fullName,
+        email,
+        ...(isEmailChanged && { emailVerified: false }),
+      },
     },
     {
       new: true, // Return the updated document
     }
   ).select("-password"); // Exclude password from the returned user object
 
+  if (isEmailChanged) {
+    await sendVerificationEmail(user);
+  }
+
   // Send the updated user object in the response
   return res
     .status(200)
@@ -381,19 +620,19 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
   }
 
   // Upload the new avatar
-  const newAvatar = await uploadOnCloudinary(avatarLocalPath);
+  const newAvatar = await uploadFile(avatarLocalPath);
   if (!newAvatar) {
-    throw new ApiError(400, "Error while uploading avatar file on Cloudinary");
+    throw new ApiError(400, "Error while uploading avatar file");
   }
 
-  // Delete the old avatar from Cloudinary if it exists
-  if (user.avatar) {
-    const oldAvatarPublicId = extractPublicIdFromUrl(user.avatar);
-    await deleteFromCloudinary(oldAvatarPublicId);
+  // Delete the old avatar from the storage if it exists
+  if (user.avatarAssetKey || user.avatar) {
+    await deleteFile(user.avatarAssetKey, user.avatar);
   }
 
   // Update the user with the new avatar
   user.avatar = newAvatar.url;
+  user.avatarAssetKey = newAvatar.assetKey;
   await user.save();
 
   return res
@@ -415,22 +654,19 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
   }
 
   // Upload the new cover image
-  const newCoverImage = await uploadOnCloudinary(coverImageLocalPath);
+  const newCoverImage = await uploadFile(coverImageLocalPath);
   if (!newCoverImage) {
-    throw new ApiError(
-      400,
-      "Error while uploading cover image file on Cloudinary"
-    );
+    throw new ApiError(400, "Error while uploading cover image file");
   }
 
-  // Delete the old cover image from Cloudinary if it exists
-  if (user.coverImage) {
-    const oldCoverImagePublicId = extractPublicIdFromUrl(user.coverImage);
-    await deleteFromCloudinary(oldCoverImagePublicId);
+  // Delete the old cover image from the storage if it exists
+  if (user.coverImageAssetKey || user.coverImage) {
+    await deleteFile(user.coverImageAssetKey, user.coverImage);
   }
 
   // Update the user with the new cover image
   user.coverImage = newCoverImage.url;
+  user.coverImageAssetKey = newCoverImage.assetKey;
   await user.save();
 
   return res
@@ -520,7 +756,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 
 const getWatchHistory = asyncHandler(async (req, res) => {
   // Aggregate query to fetch watch history for the logged-in user
-  const user = await User.aggregate([
+  const watchHistory = await User.aggregate([
     {
       // Match the user by their _id using req.user._id
       $match: {
@@ -528,12 +764,16 @@ const getWatchHistory = asyncHandler(async (req, res) => {
       },
     },
     {
-      // Lookup the "videos" collection based on the video IDs stored in the "watchHistory" array
+      // Deconstruct the "watchHistory" array so every entry keeps its "watchedAt" timestamp
+      $unwind: "$watchHistory",
+    },
+    {
+      // Lookup the "videos" collection based on the video ID stored in the history entry
       $lookup: {
         from: "videos", // Collection to join
-        localField: "watchHistory", // Field in the User collection (array of video IDs)
+        localField: "watchHistory.video", // Field in the User collection (video ID of the entry)
         foreignField: "_id", // Field in the Video collection (video ID)
-        as: "watchHistory", // Output array field containing the matched videos
+        as: "video", // Output array field containing the matched video
         pipeline: [
           {
             // Lookup the "users" collection to fetch details of the video owner
@@ -565,18 +805,185 @@ const getWatchHistory = asyncHandler(async (req, res) => {
         ],
       },
     },
+    {
+      // Drop the entries whose video no longer exists
+      $unwind: "$video",
+    },
+    {
+      // Return the video itself along with the time it was watched
+      $replaceRoot: {
+        newRoot: {
+          $mergeObjects: ["$video", { watchedAt: "$watchHistory.watchedAt" }],
+        },
+      },
+    },
+    {
+      // Most recently watched videos first
+      $sort: {
+        watchedAt: -1,
+      },
+    },
   ]);
 
   // If the aggregation is successful, respond with the watch history
   return res
     .status(200)
-    .json(new ApiResponse(200, user[0]?.watchHistory || [], "Watch history fetched successfully"));
+    .json(
+      new ApiResponse(200, watchHistory, "Watch history fetched successfully")
+    );
+});
+
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  // Validate that the video id is a valid ObjectId
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  // Pull the entry of the video from the user's watch history
+  await User.findByIdAndUpdate(req.user?._id, {
+    $pull: {
+      watchHistory: { video: new mongoose.Types.ObjectId(videoId) },
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
 });
 
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  // Empty the whole watch history of the user
+  await User.findByIdAndUpdate(req.user?._id, {
+    $set: { watchHistory: [] },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
+});
+
+const toggleWatchHistoryPause = asyncHandler(async (req, res) => {
+  // Flip the pause flag, watched videos are not recorded while it is set
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    {
+      $set: { isWatchHistoryPaused: !req.user?.isWatchHistoryPaused },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isWatchHistoryPaused: user.isWatchHistoryPaused },
+        user.isWatchHistoryPaused
+          ? "Watch history paused"
+          : "Watch history resumed"
+      )
+    );
+});
+
+const requestEmailVerification = asyncHandler(async (req, res) => {
+  // Nothing to do if the email address is already verified
+  if (req.user.emailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  // Send a new verification link, the previous one stops working
+  await sendVerificationEmail(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent successfully"));
+});
+
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // Use up the token, it cannot be used a second time
+  const verificationToken = await Token.consume(token, "emailVerification");
+  if (!verificationToken) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  // Mark the email address of the user as verified
+  const user = await User.findByIdAndUpdate(
+    verificationToken.user,
+    { $set: { emailVerified: true } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"));
+});
+
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+  // Only send a reset link if the account exists, in the background so
+  // the response takes as long whether the account exists or not
+  if (user) {
+    sendPasswordResetEmail(user).catch((error) => {
+      console.error("Error while sending the password reset email:", error);
+    });
+  }
+
+  // Always answer the same way so the endpoint does not reveal which emails are registered
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a reset link has been sent"
+      )
+    );
+});
+
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // Use up the token, it cannot be used a second time
+  const resetToken = await Token.consume(token, "passwordReset");
+  if (!resetToken) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  const user = await User.findById(resetToken.user);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  // Update the password, the pre save hook hashes it
+  user.password = newPassword;
+
+  // Receiving the link proves the user owns the email address
+  user.emailVerified = true;
+  await user.save({ validateBeforeSave: false });
+
+  // Sign out every device, whoever knew the old password loses access
+  await Session.deleteMany({ user: user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
 
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   logoutUser,
   refreshAccessToken,
   changeCurrentPassword,
@@ -585,5 +992,12 @@ export {
   updateUserAvatar,
   updateUserCoverImage,
   getUserChannelProfile,
-  getWatchHistory
+  getWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  toggleWatchHistoryPause,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
 };
@@ -0,0 +1,661 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import fs from "fs";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { User } from "../models/user.model.js";
+import { VideoView } from "../models/view.model.js";
+import { VideoStat } from "../models/videoStat.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Job } from "../models/job.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { uploadFile, deleteFile, getLocalFilePath } from "../utils/storage.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import { notifyNewVideo } from "../utils/notifications.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { fileTypeOf } from "../utils/fileTypes.js";
+import {
+  VIEW_COUNT_WINDOW_HOURS,
+  WATCH_HISTORY_LIMIT,
+  JOB_PRIORITY_HIGH,
+} from "../constants.js";
+
+// Controller to list published videos page by page
+const getAllVideos = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    query,
+    sortBy = "createdAt",
+    sortType = "desc",
+    userId,
+  } = req.query;
+
+  if (!["createdAt", "views", "duration", "title"].includes(sortBy)) {
+    throw new ApiError(400, "Invalid sort field");
+  }
+
+  // Only published videos are listed publicly
+  const match = { isPublished: true, ...visibleVideoFilter };
+
+  // Optionally search the title and description
+  // The query is matched as plain text, never as a pattern
+  if (query?.trim()) {
+    const pattern = { $regex: escapeRegex(query.trim()), $options: "i" };
+    match.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  // Optionally restrict the listing to a single channel
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      throw new ApiError(400, "Invalid user id");
+    }
+    match.owner = new mongoose.Types.ObjectId(userId);
+  }
+
+  const aggregate = Video.aggregate([
+    {
+      $match: match,
+    },
+    {
+      // Sort before paginating so every page follows the same order
+      $sort: {
+        [sortBy]: sortType === "asc" ? 1 : -1,
+      },
+    },
+    {
+      // Lookup the owner of each video, keeping only public details
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Flatten the "owner" array to a single object using $first
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+      },
+    },
+  ]);
+
+  const videos = await Video.aggregatePaginate(aggregate, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// Controller to upload a new video, the thumbnail is optional
+// The video is processed in the background and listed once it is ready
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description } = req.body;
+
+  // Validate if all required fields are provided
+  if ([title, description].some((field) => !field?.trim())) {
+    throw new ApiError(400, "Title and description are required");
+  }
+
+  const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoFileLocalPath) {
+    throw new ApiError(400, "Video file is required");
+  }
+
+  // Upload the video and the thumbnail, if any, to the storage
+  const videoFile = await uploadFile(videoFileLocalPath);
+  if (!videoFile) {
+    throw new ApiError(500, "Error while uploading video file");
+  }
+
+  let thumbnail = null;
+  if (thumbnailLocalPath) {
+    thumbnail = await uploadFile(thumbnailLocalPath);
+    if (!thumbnail) {
+      await deleteFile(videoFile.assetKey);
+      throw new ApiError(500, "Error while uploading thumbnail");
+    }
+  }
+
+  const video = await Video.create({
+    title: title.trim(),
+    description: description.trim(),
+    videoFile: videoFile.url,
+    videoFileAssetKey: videoFile.assetKey,
+    thumbnail: thumbnail?.url,
+    thumbnailAssetKey: thumbnail?.assetKey,
+    // Cloudinary reports the duration, other storages leave it to the processing job
+    duration: videoFile.duration ?? 0,
+    status: "processing",
+    owner: req.user?._id,
+  });
+
+  // Read the duration and generate the missing thumbnail in the background
+  const job = await enqueueJob(
+    "processVideo",
+    { videoId: video._id },
+    { priority: JOB_PRIORITY_HIGH }
+  );
+  video.processingJob = job._id;
+  await video.save();
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        video,
+        "Video uploaded successfully, it will be listed once processed"
+      )
+    );
+});
+
+// Controller to fetch a single video, unpublished videos are only visible to their owner
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.aggregate([
+    {
+      $match: {
+        _id: new mongoose.Types.ObjectId(videoId),
+        $or: [
+          { isPublished: true, ...visibleVideoFilter },
+          { owner: req.user?._id },
+        ],
+      },
+    },
+    {
+      // Lookup the owner of the video, keeping only public details
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              username: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: {
+          $first: "$owner",
+        },
+      },
+    },
+    {
+      // Lookup the likes of the video
+      $lookup: {
+        from: "likes",
+        localField: "_id",
+        foreignField: "video",
+        as: "likes",
+      },
+    },
+    {
+      $addFields: {
+        likesCount: {
+          $size: "$likes",
+        },
+        // Determine if the logged-in user liked this video
+        isLiked: {
+          $in: [req.user?._id, "$likes.likedBy"],
+        },
+        // Players should use this URL, it supports seeking and checks access
+        streamUrl: {
+          $concat: ["/api/v1/videos/", { $toString: "$_id" }, "/stream"],
+        },
+      },
+    },
+    {
+      $project: {
+        likes: 0,
+      },
+    },
+  ]);
+
+  if (!video.length) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video[0], "Video fetched successfully"));
+});
+
+// Controller to let the owner of a video follow its processing
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Only the owner of the video is allowed to follow its processing
+  if (!video.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to view this video's status");
+  }
+
+  const job = video.processingJob
+    ? await Job.findById(video.processingJob).select(
+        "status attempts maxAttempts lastError runAt finishedAt"
+      )
+    : null;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        // Videos uploaded before processing was added have no status
+        status: video.status || "ready",
+        duration: video.duration,
+        thumbnail: video.thumbnail,
+        job,
+      },
+      "Video status fetched successfully"
+    )
+  );
+});
+
+// Controller to update the title, description and thumbnail of a video
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+    throw new ApiError(400, "Nothing to update");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Only the owner of the video is allowed to edit it
+  if (!video.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to edit this video");
+  }
+
+  if (title?.trim()) {
+    video.title = title.trim();
+  }
+
+  if (description?.trim()) {
+    video.description = description.trim();
+  }
+
+  if (thumbnailLocalPath) {
+    // Upload the new thumbnail
+    const thumbnail = await uploadFile(thumbnailLocalPath);
+    if (!thumbnail) {
+      throw new ApiError(500, "Error while uploading thumbnail");
+    }
+
+    // Delete the old thumbnail from the storage
+    await deleteFile(video.thumbnailAssetKey, video.thumbnail);
+
+    video.thumbnail = thumbnail.url;
+    video.thumbnailAssetKey = thumbnail.assetKey;
+  }
+
+  await video.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+// Controller to delete a video along with its stored files
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Only the owner of the video is allowed to delete it
+  if (!video.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to delete this video");
+  }
+
+  await Video.findByIdAndDelete(videoId);
+
+  // Remove everything that only makes sense alongside the video
+  const commentIds = await Comment.find({ video: videoId }).distinct("_id");
+  await Like.deleteMany({
+    $or: [{ video: videoId }, { comment: { $in: commentIds } }],
+  });
+  await Comment.deleteMany({ video: videoId });
+  await Playlist.updateMany(
+    { videos: videoId },
+    { $pull: { videos: new mongoose.Types.ObjectId(videoId) } }
+  );
+  await User.updateMany(
+    { "watchHistory.video": videoId },
+    { $pull: { watchHistory: { video: new mongoose.Types.ObjectId(videoId) } } }
+  );
+  await VideoView.deleteMany({ video: videoId });
+  await VideoStat.deleteMany({ video: videoId });
+  await Notification.deleteMany({ video: videoId });
+
+  // Remove the video file and the thumbnail from the storage
+  await deleteFile(video.videoFileAssetKey, video.videoFile);
+  await deleteFile(video.thumbnailAssetKey, video.thumbnail);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+// Controller to publish or unpublish a video
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Only the owner of the video is allowed to change its visibility
+  if (!video.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to edit this video");
+  }
+
+  if (!video.isPublished && video.moderatorUnpublishedAt) {
+    throw new ApiError(403, "This video was unpublished by a moderator");
+  }
+
+  video.isPublished = !video.isPublished;
+  await video.save();
+
+  // Subscribers hear about the video the first time it is published
+  if (video.isPublished) {
+    await notifyNewVideo(video._id);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        video.isPublished
+          ? "Video published successfully"
+          : "Video unpublished successfully"
+      )
+    );
+});
+
+// Function to count a view unless the viewer already added one within the window
+// Returns true when the view was counted
+const countView = async (videoId, viewerId) => {
+  const now = new Date();
+  const windowStart = new Date(
+    now.getTime() - VIEW_COUNT_WINDOW_HOURS * 60 * 60 * 1000
+  );
+
+  // Renew the record of a viewer whose last counted view is outside the window
+  const renewed = await VideoView.updateOne(
+    { video: videoId, viewer: viewerId, countedAt: { $lte: windowStart } },
+    { $set: { countedAt: now } }
+  );
+  if (renewed.modifiedCount) return true;
+
+  try {
+    await VideoView.create({
+      video: videoId,
+      viewer: viewerId,
+      countedAt: now,
+    });
+    return true;
+  } catch (error) {
+    // The viewer already has a view counted within the window
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Controller to record that the logged-in user watched a video
+// Counts the view and moves the video to the front of the watch history
+const recordVideoView = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  // Unpublished videos can only be watched by their owner
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [
+      { isPublished: true, ...visibleVideoFilter },
+      { owner: req.user?._id },
+    ],
+  });
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const isCounted = await countView(video._id, req.user?._id);
+
+  let views = video.views;
+  if (isCounted) {
+    const updatedVideo = await Video.findByIdAndUpdate(
+      video._id,
+      { $inc: { views: 1 } },
+      { new: true }
+    );
+    views = updatedVideo.views;
+
+    // Keep the views of the current hour for the trending feed
+    const hour = new Date();
+    hour.setMinutes(0, 0, 0);
+    await VideoStat.updateOne(
+      { video: video._id, hour },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    );
+  }
+
+  if (!req.user?.isWatchHistoryPaused) {
+    // Remove the previous entry of the video so it only appears once
+    await User.findByIdAndUpdate(req.user?._id, {
+      $pull: { watchHistory: { video: video._id } },
+    });
+
+    // Add the video to the front of the history, keeping only the latest entries
+    await User.findByIdAndUpdate(req.user?._id, {
+      $push: {
+        watchHistory: {
+          $each: [{ video: video._id, watchedAt: new Date() }],
+          $position: 0,
+          $slice: WATCH_HISTORY_LIMIT,
+        },
+      },
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { views, isCounted },
+        "Video view recorded successfully"
+      )
+    );
+});
+
+// Function to parse a "Range: bytes=start-end" header against the size of a file
+// Returns null when the header should be ignored and -1 when it cannot be satisfied
+const parseRange = (rangeHeader, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+  // Multiple ranges and other units are not supported, the full file is sent instead
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    // Suffix range, e.g. "bytes=-500" asks for the last 500 bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end =
+      match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return -1;
+
+  return { start, end };
+};
+
+// Controller to stream a locally stored video, honouring Range requests so players can seek
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  // Unpublished videos can only be watched by their owner
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [
+      { isPublished: true, ...visibleVideoFilter },
+      { owner: req.user?._id },
+    ],
+  });
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // Videos kept by a remote storage are streamed by the storage itself
+  const filePath = getLocalFilePath(video.videoFileAssetKey);
+  if (!filePath) {
+    return res.redirect(302, video.videoFile);
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new ApiError(404, "Video file not found");
+  }
+
+  const etag = `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`;
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type":
+      fileTypeOf(filePath)?.contentType || "application/octet-stream",
+    ETag: etag,
+    "Last-Modified": stats.mtime.toUTCString(),
+    // Private, the response depends on who is allowed to watch the video
+    "Cache-Control": "private, max-age=0, must-revalidate",
+  });
+
+  // The client already has this exact file
+  const ifNoneMatch = req.get("If-None-Match");
+  if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+    return res.status(304).end();
+  }
+
+  // A range is only honoured while the file is still the one the client started with
+  const rangeHeader = req.get("Range");
+  const ifRange = req.get("If-Range");
+  const range =
+    rangeHeader && (!ifRange || ifRange === etag)
+      ? parseRange(rangeHeader, stats.size)
+      : null;
+
+  if (range === -1) {
+    res.set("Content-Range", `bytes */${stats.size}`);
+    throw new ApiError(416, "Requested range not satisfiable");
+  }
+
+  const { start, end } = range || { start: 0, end: stats.size - 1 };
+
+  if (range) {
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+  } else {
+    res.status(200);
+  }
+  res.set("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+
+  // Stop reading the file when the player goes away, e.g. after seeking
+  res.on("close", () => stream.destroy());
+  stream.on("error", (error) => {
+    console.error("Error while streaming the video:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+export {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  getVideoProcessingStatus,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  recordVideoView,
+  streamVideo,
+};
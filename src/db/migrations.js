@@ -0,0 +1,49 @@
+import { User } from "../models/user.model.js";
+
+// One-off data migrations, run at startup before the server accepts requests.
+// Every migration only touches documents still in the old shape, so running
+// them again is a no-op.
+
+// Watch history entries used to be plain video ids, they are now
+// { video, watchedAt }. The old entries have no date, so they get the time
+// the user was last updated, the latest they could have been added.
+const migrateWatchHistory = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { watchHistory: { $type: "objectId" } },
+    [
+      {
+        $set: {
+          watchHistory: {
+            $map: {
+              input: "$watchHistory",
+              as: "entry",
+              in: {
+                $cond: [
+                  { $eq: [{ $type: "$$entry" }, "objectId"] },
+                  {
+                    video: "$$entry",
+                    watchedAt: { $ifNull: ["$updatedAt", "$$NOW"] },
+                  },
+                  "$$entry",
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+    // Leaves updatedAt alone, the migration is not a change made by the user
+    { timestamps: false }
+  );
+
+  if (modifiedCount) {
+    console.log(`Migrated the watch history of ${modifiedCount} users`);
+  }
+};
+
+// Function to run every migration in order
+const runMigrations = async () => {
+  await migrateWatchHistory();
+};
+
+export { runMigrations };
@@ -2,11 +2,24 @@
 import dotenv from 'dotenv'
 import connectDB from "./db/index.js";
 import { app } from './app.js';
+import { runMigrations } from './db/migrations.js';
+import { startJobs } from './jobs/index.js';
+import { checkMailTransport } from './utils/mailer.js';
 
 dotenv.config({path: "./env"});
 
+// Refuse to start with a broken mail configuration, see utils/mailer.js
+checkMailTransport();
+
 connectDB()
+// Old documents are brought to the current shape before anything reads them
+.then(runMigrations)
 .then(()=>{
+    // Background jobs need the database, so they start once it is connected
+    startJobs().catch((err)=>{
+        console.log("Background jobs failed to start !!! : ", err)
+    });
+
     app.listen(process.env.PORT || 8000, ()=>{
         console.log(`Server is running on port : ${process.env.PORT}`);
     })
@@ -0,0 +1,32 @@
+import {
+  registerJobHandler,
+  scheduleRecurringJob,
+  startJobWorker,
+} from "../utils/jobQueue.js";
+import {
+  FEED_SCORES_INTERVAL_MINUTES,
+  JOB_PRIORITY_LOW,
+} from "../constants.js";
+import { processVideo } from "./processVideo.job.js";
+import {
+  updateFeedScores,
+  updateRecommendations,
+} from "./updateFeedScores.job.js";
+
+// Function to register every job handler and start running queued jobs
+const startJobs = async () => {
+  registerJobHandler("processVideo", processVideo);
+  registerJobHandler("updateFeedScores", updateFeedScores);
+  registerJobHandler("updateRecommendations", updateRecommendations);
+
+  await scheduleRecurringJob(
+    "updateFeedScores",
+    FEED_SCORES_INTERVAL_MINUTES * 60 * 1000,
+    {},
+    { priority: JOB_PRIORITY_LOW }
+  );
+
+  startJobWorker();
+};
+
+export { startJobs };
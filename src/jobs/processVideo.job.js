@@ -0,0 +1,72 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Video } from "../models/video.model.js";
+import { uploadFile, deleteFile, getLocalFilePath } from "../utils/storage.js";
+import { probeDuration, extractFrame } from "../utils/media.js";
+import { notifyNewVideo } from "../utils/notifications.js";
+
+const TEMP_DIR = "./public/temp";
+
+// Job run after every upload: reads the real duration of the video,
+// generates a thumbnail when none was uploaded and marks the video as ready
+const processVideo = {
+  run: async ({ videoId }) => {
+    const video = await Video.findById(videoId);
+
+    // The video was deleted before it could be processed
+    if (!video) return { skipped: true };
+
+    // Remote storages are read through the public URL of the file
+    const input = getLocalFilePath(video.videoFileAssetKey) || video.videoFile;
+
+    // Cloudinary already reports the duration, anything else is probed
+    const duration =
+      video.duration > 0 ? video.duration : await probeDuration(input);
+
+    const update = { duration, status: "ready" };
+
+    if (!video.thumbnailAssetKey) {
+      // Take a frame a little after the start, which is often black
+      const thumbnailPath = path.join(TEMP_DIR, `${crypto.randomUUID()}.jpg`);
+      try {
+        await extractFrame(input, thumbnailPath, Math.min(duration * 0.1, 10));
+      } catch (error) {
+        // ffmpeg may leave a partial image behind
+        await fs.promises.rm(thumbnailPath, { force: true });
+        throw error;
+      }
+
+      const thumbnail = await uploadFile(thumbnailPath);
+      if (!thumbnail) {
+        throw new Error("Error while uploading the generated thumbnail");
+      }
+
+      update.thumbnail = thumbnail.url;
+      update.thumbnailAssetKey = thumbnail.assetKey;
+    }
+
+    const updatedVideo = await Video.findByIdAndUpdate(videoId, {
+      $set: update,
+    });
+
+    // The video was deleted while it was being processed
+    if (!updatedVideo && update.thumbnailAssetKey) {
+      await deleteFile(update.thumbnailAssetKey);
+    }
+
+    // Let the subscribers know once the video can be watched, unpublished
+    // videos are announced when they are published
+    if (updatedVideo) {
+      await notifyNewVideo(videoId);
+    }
+
+    return { duration, thumbnailGenerated: Boolean(update.thumbnailAssetKey) };
+  },
+
+  onFailed: async ({ videoId }) => {
+    await Video.updateOne({ _id: videoId }, { $set: { status: "failed" } });
+  },
+};
+
+export { processVideo };
@@ -0,0 +1,322 @@
+import mongoose from "mongoose";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { VideoStat } from "../models/videoStat.model.js";
+import { Like } from "../models/like.model.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Recommendation } from "../models/recommendation.model.js";
+import { enqueueJob, hasPendingJob } from "../utils/jobQueue.js";
+import {
+  TRENDING_WINDOW_HOURS,
+  RECOMMENDATION_ACTIVE_DAYS,
+  RECOMMENDATIONS_PER_USER,
+  RECOMMENDATION_BATCH_SIZE,
+  JOB_PRIORITY_LOW,
+} from "../constants.js";
+
+// Number of recently watched and liked videos a recommendation is based on
+const SEED_VIDEOS = 50;
+// Number of title words searched to find videos on the same topics
+const TOPIC_KEYWORDS = 10;
+// Videos fetched for every kind of candidate before ranking
+const CANDIDATES = 200;
+// Largest list of ids sent in a single query or bulk write
+const ID_CHUNK_SIZE = 1000;
+
+// Function to split a list into chunks of at most `size` items
+const chunk = (items, size = ID_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) {
+    chunks.push(items.slice(start, start + size));
+  }
+  return chunks;
+};
+
+// Function to compute the trending score of every video active within the window
+// Recent views and likes count more on fresh videos, so old hits fade away
+const updateTrendingScores = async () => {
+  const windowHours =
+    Number(process.env.TRENDING_WINDOW_HOURS) || TRENDING_WINDOW_HOURS;
+  const now = Date.now();
+  const windowStart = new Date(now - windowHours * 60 * 60 * 1000);
+
+  const viewCounts = await VideoStat.aggregate([
+    { $match: { hour: { $gte: windowStart } } },
+    { $group: { _id: "$video", views: { $sum: "$views" } } },
+  ]);
+  const likeCounts = await Like.aggregate([
+    { $match: { video: { $exists: true }, createdAt: { $gte: windowStart } } },
+    { $group: { _id: "$video", likes: { $sum: 1 } } },
+  ]);
+
+  const activity = new Map();
+  for (const { _id, views } of viewCounts) {
+    activity.set(String(_id), { views, likes: 0 });
+  }
+  for (const { _id, likes } of likeCounts) {
+    const counts = activity.get(String(_id)) || { views: 0, likes: 0 };
+    activity.set(String(_id), { ...counts, likes });
+  }
+
+  const scores = new Map();
+  const scoreVideo = (video) => {
+    const { views, likes } = activity.get(String(video._id)) || {
+      views: 0,
+      likes: 0,
+    };
+    const ageHours = (now - video.createdAt.getTime()) / (60 * 60 * 1000);
+
+    scores.set(
+      String(video._id),
+      (views + 3 * likes + 1) / Math.pow(ageHours + 2, 1.5)
+    );
+  };
+
+  const visibleMatch = { isPublished: true, ...visibleVideoFilter };
+
+  for (const ids of chunk([...activity.keys()])) {
+    const videos = await Video.find({ _id: { $in: ids }, ...visibleMatch })
+      .select("createdAt")
+      .lean();
+    videos.forEach(scoreVideo);
+  }
+
+  // New uploads are ranked too, so they get a chance to be seen
+  const newVideos = Video.find({
+    createdAt: { $gte: windowStart },
+    ...visibleMatch,
+  })
+    .select("createdAt")
+    .lean()
+    .cursor();
+  for await (const video of newVideos) {
+    scoreVideo(video);
+  }
+
+  for (const entries of chunk([...scores.entries()])) {
+    await Video.bulkWrite(
+      entries.map(([_id, score]) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { trendingScore: score } },
+        },
+      }))
+    );
+  }
+
+  // Videos without recent activity drop out of the trending feed
+  const previouslyTrending = Video.find({ trendingScore: { $gt: 0 } })
+    .select("_id")
+    .lean()
+    .cursor();
+  let staleIds = [];
+  for await (const { _id } of previouslyTrending) {
+    if (scores.has(String(_id))) continue;
+
+    staleIds.push(_id);
+    if (staleIds.length === ID_CHUNK_SIZE) {
+      await Video.updateMany(
+        { _id: { $in: staleIds } },
+        { $set: { trendingScore: 0 } }
+      );
+      staleIds = [];
+    }
+  }
+  if (staleIds.length) {
+    await Video.updateMany(
+      { _id: { $in: staleIds } },
+      { $set: { trendingScore: 0 } }
+    );
+  }
+
+  return scores.size;
+};
+
+// Function to pick the most frequent words of some titles, used as topics
+const topKeywords = (titles) => {
+  const counts = new Map();
+
+  for (const title of titles) {
+    const words = title.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+    for (const word of new Set(words)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOPIC_KEYWORDS)
+    .map(([word]) => word);
+};
+
+// Function to rank videos for a user from the channels and topics of the
+// videos they watched and liked, leaving out what they already watched
+const recommendVideosFor = async (userId) => {
+  const user = await User.findById(userId).select("watchHistory");
+  if (!user) return [];
+
+  const likes = await Like.find({ likedBy: userId, video: { $exists: true } })
+    .sort({ createdAt: -1 })
+    .limit(SEED_VIDEOS)
+    .select("video");
+
+  const watchedIds = user.watchHistory.map((entry) => entry.video);
+  const likedIds = new Set(likes.map((like) => String(like.video)));
+
+  const seeds = await Video.find({
+    _id: {
+      $in: [
+        ...watchedIds.slice(0, SEED_VIDEOS),
+        ...likes.map((like) => like.video),
+      ],
+    },
+  }).select("owner title");
+
+  if (!seeds.length) return [];
+
+  // A liked video says more about the user than a watched one
+  const channelWeights = new Map();
+  for (const seed of seeds) {
+    if (seed.owner.equals(userId)) continue;
+    const weight = likedIds.has(String(seed._id)) ? 2 : 1;
+    const owner = String(seed.owner);
+    channelWeights.set(owner, (channelWeights.get(owner) || 0) + weight);
+  }
+
+  const candidateMatch = {
+    _id: { $nin: watchedIds },
+    owner: { $ne: userId },
+    isPublished: true,
+    ...visibleVideoFilter,
+  };
+
+  const channelVideos = channelWeights.size
+    ? await Video.find({
+        ...candidateMatch,
+        owner: { $in: [...channelWeights.keys()], $ne: userId },
+      })
+        .sort({ createdAt: -1 })
+        .limit(CANDIDATES)
+        .select("owner trendingScore")
+        .lean()
+    : [];
+
+  const keywords = topKeywords(seeds.map((seed) => seed.title));
+  const topicVideos = keywords.length
+    ? await Video.find(
+        { ...candidateMatch, $text: { $search: keywords.join(" ") } },
+        { topicScore: { $meta: "textScore" } }
+      )
+        .sort({ topicScore: { $meta: "textScore" } })
+        .limit(CANDIDATES)
+        .select("owner trendingScore")
+        .lean()
+    : [];
+
+  // Every signal is scaled to 0..1 before being weighted
+  const maxChannelWeight = Math.max(1, ...channelWeights.values());
+  const maxTopicScore = Math.max(
+    Number.EPSILON,
+    ...topicVideos.map((video) => video.topicScore)
+  );
+  const maxTrendingScore = Math.max(
+    Number.EPSILON,
+    ...[...channelVideos, ...topicVideos].map((video) => video.trendingScore)
+  );
+
+  const candidates = new Map();
+  for (const video of [...channelVideos, ...topicVideos]) {
+    candidates.set(String(video._id), {
+      video,
+      topicScore: Math.max(
+        candidates.get(String(video._id))?.topicScore || 0,
+        video.topicScore || 0
+      ),
+    });
+  }
+
+  return [...candidates.values()]
+    .map(({ video, topicScore }) => ({
+      video: video._id,
+      score:
+        (2 * (channelWeights.get(String(video.owner)) || 0)) /
+          maxChannelWeight +
+        topicScore / maxTopicScore +
+        (0.5 * (video.trendingScore || 0)) / maxTrendingScore,
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RECOMMENDATIONS_PER_USER);
+};
+
+// Function to queue the refresh of the recommendations of every recently active user
+// Users are handled in small batches, each batch is its own low priority job
+// so uploads waiting to be processed are never held back for long
+const queueRecommendationUpdates = async () => {
+  // The batches of the previous run are still going, they cover everyone
+  if (await hasPendingJob("updateRecommendations")) return false;
+
+  await enqueueJob("updateRecommendations", {}, { priority: JOB_PRIORITY_LOW });
+  return true;
+};
+
+// Job refreshing the recommendations of a batch of recently active users,
+// ordered by id, then queueing the next batch
+const updateRecommendations = {
+  run: async ({ afterUserId } = {}) => {
+    const activeSince = new Date(
+      Date.now() - RECOMMENDATION_ACTIVE_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const batch = await Session.aggregate([
+      {
+        $match: {
+          lastUsedAt: { $gte: activeSince },
+          ...(afterUserId && {
+            user: { $gt: new mongoose.Types.ObjectId(afterUserId) },
+          }),
+        },
+      },
+      { $group: { _id: "$user" } },
+      { $sort: { _id: 1 } },
+      { $limit: RECOMMENDATION_BATCH_SIZE },
+    ]);
+
+    for (const { _id: userId } of batch) {
+      const videos = await recommendVideosFor(userId);
+
+      // Users without any history get the trending feed instead
+      if (!videos.length) {
+        await Recommendation.deleteOne({ user: userId });
+        continue;
+      }
+
+      await Recommendation.updateOne(
+        { user: userId },
+        { $set: { videos } },
+        { upsert: true }
+      );
+    }
+
+    if (batch.length === RECOMMENDATION_BATCH_SIZE) {
+      await enqueueJob(
+        "updateRecommendations",
+        { afterUserId: String(batch[batch.length - 1]._id) },
+        { priority: JOB_PRIORITY_LOW }
+      );
+    }
+
+    return { users: batch.length };
+  },
+};
+
+// Job run periodically to precompute the scores used by the home feeds
+const updateFeedScores = {
+  run: async () => {
+    const trendingVideos = await updateTrendingScores();
+    const recommendationsQueued = await queueRecommendationUpdates();
+
+    return { trendingVideos, recommendationsQueued };
+  },
+};
+
+export { updateFeedScores, updateRecommendations };
@@ -2,9 +2,10 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 
 // Middleware to verify JWT and authenticate the user
-export const verifyJWT = asyncHandler(async (req, _ , next) => {
+export const verifyJWT = asyncHandler(async (req, _, next) => {
   try {
     // Extract the token from either cookies or the Authorization header
     //authorization header is checked for token in case if the user is using our mobile app
@@ -21,22 +22,65 @@ export const verifyJWT = asyncHandler(async (req, _ , next) => {
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
     // Find the user by ID in the decoded token and exclude sensitive fields
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
-    );
+    const user = await User.findById(decodedToken?._id).select("-password");
 
     // If no user is found, return an error indicating the token is invalid
     if (!user) {
       throw new ApiError(401, "Invalid access token");
     }
 
-    // Attach the authenticated user to the request object for use in the next middleware/controller
+    if (user.isBanned) {
+      throw new ApiError(403, "Your account has been banned");
+    }
+
+    // Access tokens stop working as soon as their session is revoked
+    const isSessionActive =
+      decodedToken?.sid &&
+      (await Session.exists({ _id: decodedToken.sid, user: user._id }));
+    if (!isSessionActive) {
+      throw new ApiError(401, "Session has been revoked");
+    }
+
+    // Attach the authenticated user and their session to the request object for use in the next middleware/controller
     req.user = user;
+    req.sessionId = decodedToken.sid;
 
     // Move on to the next middleware or controller
     next();
   } catch (error) {
+    // Let the error middleware tell expired tokens apart from invalid ones,
+    // errors raised above already carry the right status
+    if (error instanceof jwt.JsonWebTokenError || error instanceof ApiError) {
+      throw error;
+    }
+
     // If token verification fails, handle it as an unauthorized error
     throw new ApiError(401, error?.message || "Invalid access token");
   }
 });
+
+// Middleware to allow an action only to users who verified their email address
+// It has to run after verifyJWT
+export const requireVerifiedEmail = (req, _, next) => {
+  if (!req.user?.emailVerified) {
+    return next(
+      new ApiError(403, "Please verify your email address to continue")
+    );
+  }
+
+  next();
+};
+
+// Middleware to allow an action only to users with one of the given roles
+// It has to run after verifyJWT
+export const authorize =
+  (...roles) =>
+  (req, _, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return next(
+        new ApiError(403, "You are not allowed to perform this action")
+      );
+    }
+
+    next();
+  };
@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// Function to convert errors thrown by the libraries we use into an ApiError
+const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // Mongoose schema validation failed, report every invalid field
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  // A value could not be cast to the schema type, e.g. a malformed ObjectId
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid value for ${err.path}`,
+      [{ field: err.path, message: `Cannot be ${JSON.stringify(err.value)}` }],
+      err.stack
+    );
+  }
+
+  // Unique index violation
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ApiError(
+      409,
+      fields.length
+        ? `A record with the same ${fields.join(", ")} already exists`
+        : "Duplicate record",
+      fields.map((field) => ({ field, message: "Already exists" })),
+      err.stack
+    );
+  }
+
+  // TokenExpiredError extends JsonWebTokenError, so it has to be checked first
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  if (err instanceof multer.MulterError) {
+    const statusCode =
+      err.code === "LIMIT_FILE_SIZE" || err.code === "LIMIT_FILE_COUNT"
+        ? 413
+        : 400;
+    return new ApiError(
+      statusCode,
+      err.message,
+      err.field ? [{ field: err.field, message: err.message }] : [],
+      err.stack
+    );
+  }
+
+  // Errors raised by express.json() and express.urlencoded()
+  if (err?.type === "entity.too.large") {
+    return new ApiError(413, "Request body is too large", [], err.stack);
+  }
+
+  if (err?.type === "entity.parse.failed") {
+    return new ApiError(400, "Malformed request body", [], err.stack);
+  }
+
+  // Anything else is a bug, do not leak its message to the client
+  const statusCode = err?.statusCode || err?.status;
+  return new ApiError(
+    statusCode >= 400 && statusCode < 600 ? statusCode : 500,
+    process.env.NODE_ENV === "development"
+      ? err?.message || "Internal server error"
+      : "Internal server error",
+    [],
+    err?.stack
+  );
+};
+
+// Middleware to answer unknown routes with a JSON 404
+const notFound = (req, _, next) => {
+  next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// Middleware to render every error in the same envelope as ApiResponse
+// It has to be registered after all the routes
+const errorHandler = (err, req, res, next) => {
+  // Express has to close the connection if the response was already started
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toApiError(err);
+
+  if (error.statusCode >= 500) {
+    console.error("Unhandled error:", err);
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: error.data,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+    // Stack traces are only shown while developing
+    ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+  });
+};
+
+export { notFound, errorHandler };
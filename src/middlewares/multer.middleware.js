@@ -1,12 +1,219 @@
 import multer from "multer";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+import { fileTypes } from "../utils/fileTypes.js";
 
-const storage = multer.diskStorage({
-    destination: function(req, file, cb) {
-        cb(null, "./public/temp");
+const TEMP_DIR = "./public/temp";
+
+// What each kind of upload accepts, the type is checked against the first bytes of the file
+const uploadProfiles = {
+  image: {
+    maxBytes: 5 * 1024 * 1024,
+    types: ["jpeg", "png", "gif", "webp"],
+  },
+  video: {
+    maxBytes: 500 * 1024 * 1024,
+    types: ["mp4", "webm"],
+  },
+};
+
+// Major brands of the ISO base media files accepted as videos (mp4, m4v, mov)
+const videoBrands = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "dash",
+  "M4V ",
+  "M4VP",
+  "qt  ",
+];
+
+// Function to recognise a file type from its magic bytes
+const detectFileType = (header) => {
+  const ascii = (start, end) => header.toString("latin1", start, end);
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return "jpeg";
+  }
+  if (header.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "png";
+  }
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+    return "gif";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "webp";
+  }
+  // ISO base media files have an "ftyp" box right at the start, its major brand
+  // tells videos apart from HEIC/AVIF images and 3GP files sharing the format
+  if (ascii(4, 8) === "ftyp" && videoBrands.includes(ascii(8, 12))) {
+    return "mp4";
+  }
+  // EBML header shared by WebM and Matroska
+  if (header.subarray(0, 4).equals(Buffer.from("1a45dfa3", "hex"))) {
+    return "webm";
+  }
+  return null;
+};
+
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const header = Buffer.alloc(16);
+    await handle.read(header, 0, header.length, 0);
+    return header;
+  } finally {
+    await handle.close();
+  }
+};
+
+const tooLargeError = (fieldname, maxBytes) =>
+  new ApiError(413, `${fieldname} is too large`, [
+    {
+      field: fieldname,
+      message: `must be at most ${maxBytes / 1024 / 1024} MB`,
     },
-    filename: function(req, file, cb) {
-        cb(null, file.originalname);
-    }
+  ]);
+
+// Function to build a multer storage engine writing to the temp folder
+// A file is stopped as soon as it goes over the limit of its field,
+// so an oversized upload never reaches the disk in full
+const createTempStorage = (maxBytesOf) => ({
+  _handleFile: (req, file, cb) => {
+    // Random names so uploads with the same original name never overwrite each other,
+    // the extension is added once the type of the file is known
+    const filename = `${Date.now()}-${crypto.randomUUID()}`;
+    const filePath = path.join(TEMP_DIR, filename);
+    const maxBytes = maxBytesOf(file.fieldname);
+    const output = fs.createWriteStream(filePath);
+
+    let size = 0;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+
+      file.stream.unpipe(output);
+      // Keep reading the request so multer can end it properly
+      file.stream.resume();
+      output.destroy();
+      fs.promises.rm(filePath, { force: true }).catch((rmError) => {
+        console.error("Error while removing temp file:", rmError);
+      });
+      cb(error);
+    };
+
+    file.stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        fail(tooLargeError(file.fieldname, maxBytes));
+      }
+    });
+    file.stream.on("error", fail);
+    output.on("error", fail);
+    output.on("finish", () => {
+      if (!failed) {
+        cb(null, { destination: TEMP_DIR, filename, path: filePath, size });
+      }
+    });
+
+    file.stream.pipe(output);
+  },
+
+  _removeFile: (req, file, cb) => {
+    fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+  },
 });
 
-export const upload = multer({ storage });
+// Function to build the multer middleware and the checks for a list of fields
+// Every field is { name, maxCount, profile } where profile is a key of uploadProfiles
+const createUpload = (fields, { single = false } = {}) => {
+  const profileOf = Object.fromEntries(
+    fields.map(({ name, profile }) => [name, uploadProfiles[profile]])
+  );
+
+  const receive = multer({
+    storage: createTempStorage((fieldname) => profileOf[fieldname].maxBytes),
+    limits: {
+      files: fields.reduce((total, { maxCount = 1 }) => total + maxCount, 0),
+    },
+  }).fields(fields.map(({ name, maxCount = 1 }) => ({ name, maxCount })));
+
+  const check = async (req, _, next) => {
+    try {
+      const files = Object.values(req.files || {}).flat();
+
+      for (const file of files) {
+        const profile = profileOf[file.fieldname];
+
+        const type = detectFileType(await readHeader(file.path));
+        if (!profile.types.includes(type)) {
+          throw new ApiError(400, `${file.fieldname} has an unsupported type`, [
+            {
+              field: file.fieldname,
+              message: `must be one of ${profile.types.join(", ")}`,
+            },
+          ]);
+        }
+
+        // Name the file after its detected type, the name given by the client
+        // is never trusted since it decides how the file is served later
+        const typedPath = `${file.path}${fileTypes[type].extension}`;
+        await fs.promises.rename(file.path, typedPath);
+        file.path = typedPath;
+        file.filename = path.basename(typedPath);
+      }
+
+      // Keep req.file for single file uploads, as multer.single() would
+      if (single) {
+        req.file = req.files?.[fields[0].name]?.[0];
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return [receive, check];
+};
+
+export const upload = {
+  single: (name, profile) =>
+    createUpload([{ name, profile }], { single: true }),
+  fields: (fields) => createUpload(fields),
+};
+
+// Middleware to remove the temp files of a request once it is over,
+// whether the controller moved them to the storage or failed before that
+export const cleanupTempFiles = (req, res, next) => {
+  const cleanup = () => {
+    res.removeListener("finish", cleanup);
+    res.removeListener("close", cleanup);
+
+    const files = [
+      req.file,
+      ...(Array.isArray(req.files)
+        ? req.files
+        : Object.values(req.files || {}).flat()),
+    ].filter(Boolean);
+
+    for (const file of files) {
+      fs.promises.rm(file.path, { force: true }).catch((error) => {
+        console.error("Error while removing temp file:", error);
+      });
+    }
+  };
+
+  res.on("finish", cleanup);
+  res.on("close", cleanup);
+  next();
+};
@@ -0,0 +1,107 @@
+import { ApiError } from "../utils/ApiError.js";
+import { createMemoryStore } from "../utils/rateLimitStore.js";
+
+// Limiters share one store unless they are given their own
+const defaultStore = createMemoryStore();
+
+// Function to set the RateLimit-* headers, keeping the ones of the strictest limiter
+// when several limiters apply to the same route
+const setRateLimitHeaders = (res, max, remaining, resetSeconds) => {
+  const previousRemaining = res.get("RateLimit-Remaining");
+  if (
+    previousRemaining !== undefined &&
+    Number(previousRemaining) < remaining
+  ) {
+    return;
+  }
+
+  res.set({
+    "RateLimit-Limit": String(max),
+    "RateLimit-Remaining": String(remaining),
+    "RateLimit-Reset": String(resetSeconds),
+  });
+};
+
+// Function to build a limiter counting hits per key within a fixed window
+//   name        - prefix of the keys, so limiters sharing a store do not mix
+//   windowMs    - length of the window
+//   max         - hits allowed per key within the window
+//   store       - see utils/rateLimitStore.js, in memory by default
+//   message     - message of the 429 error
+// Controllers use it directly when what is counted is only known once the
+// request was looked into, e.g. the account a login resolves to
+export const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  store = defaultStore,
+  message = "Too many requests, please try again later",
+}) => {
+  if (!name || !(windowMs > 0) || !(max > 0)) {
+    throw new Error("A rate limit needs a name, a windowMs and a max");
+  }
+
+  return {
+    // Counts a hit for the key and sets the headers, throws a 429 once over the limit
+    hit: async (res, keyValue) => {
+      const { count, resetAt } = await store.increment(
+        `${name}:${keyValue}`,
+        windowMs
+      );
+      const resetSeconds = Math.max(
+        0,
+        Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000)
+      );
+
+      setRateLimitHeaders(res, max, Math.max(0, max - count), resetSeconds);
+
+      if (count > max) {
+        res.set("Retry-After", String(resetSeconds));
+        throw new ApiError(429, message);
+      }
+    },
+
+    // Takes back a hit, e.g. once an attempt turned out to succeed
+    undo: async (keyValue) => {
+      await store.decrement(`${name}:${keyValue}`);
+    },
+  };
+};
+
+// Middleware factory limiting how often a route is called, see createRateLimiter
+//   key(req)    - what is counted, e.g. the IP or the logged-in user, nothing
+//                 is counted when it returns no key
+//   onlyFailed  - only count the requests answered with an error status
+export const rateLimit = ({
+  key = (req) => req.ip,
+  onlyFailed = false,
+  ...options
+}) => {
+  const limiter = createRateLimiter(options);
+
+  return async (req, res, next) => {
+    try {
+      const keyValue = key(req);
+      if (!keyValue) return next();
+
+      await limiter.hit(res, keyValue);
+
+      // Take the hit back once the request turns out to have succeeded
+      if (onlyFailed) {
+        res.on("finish", () => {
+          if (res.statusCode < 400) {
+            limiter
+              .undo(keyValue)
+              .catch((error) =>
+                console.error("Error while updating a rate limit:", error)
+              );
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,39 @@
+import express from "express";
+import path from "path";
+import { fileTypeOf } from "../utils/fileTypes.js";
+
+const serveStatic = express.static("public");
+
+// Uploaded images are the only uploads served as they are
+// Stored files are named after the type detected from their content, see utils/fileTypes.js
+const isImagePath = (filePath) =>
+  Boolean(fileTypeOf(filePath)?.contentType.startsWith("image/"));
+
+// Function to tell whether a file under public/ must not be served as is
+const isPrivatePath = (requestPath) => {
+  const normalizedPath = path.posix.normalize(requestPath).toLowerCase();
+
+  // Uploads waiting to be processed
+  if (normalizedPath.startsWith("/temp/")) return true;
+
+  // Videos, and anything that is not an image, have to go through
+  // GET /api/v1/videos/:videoId/stream, which checks who is watching
+  return normalizedPath.startsWith("/uploads/") && !isImagePath(normalizedPath);
+};
+
+// Middleware to serve the public folder except the files that need access control
+export const servePublicFiles = (req, res, next) => {
+  let requestPath;
+  try {
+    requestPath = decodeURIComponent(req.path);
+  } catch (error) {
+    // Malformed paths cannot match a file anyway
+    return next();
+  }
+
+  if (isPrivatePath(requestPath)) {
+    return next();
+  }
+
+  serveStatic(req, res, next);
+};
@@ -0,0 +1,36 @@
+import { ApiError } from "../utils/ApiError.js";
+import { isMissing } from "../validators/rules.js";
+
+// Middleware to validate a request against a schema declared next to the route
+// A schema maps "body", "params" and "query" to { field: [rules] }
+// Every invalid field is reported in the `errors` of a single 400 ApiError
+export const validate = (schema) => (req, _, next) => {
+  const errors = [];
+
+  for (const location of ["params", "query", "body"]) {
+    const fields = schema[location];
+    if (!fields) continue;
+
+    for (const [field, rules] of Object.entries(fields)) {
+      const value = req[location]?.[field];
+
+      // Optional fields are only checked when they are present
+      if (isMissing(value) && !rules.some((rule) => rule.isRequired)) continue;
+
+      // Stop at the first failing rule so each field reports a single problem
+      for (const rule of rules) {
+        const message = rule(value);
+        if (message) {
+          errors.push({ location, field, message: `${field} ${message}` });
+          break;
+        }
+      }
+    }
+  }
+
+  if (errors.length) {
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  next();
+};
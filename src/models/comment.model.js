@@ -1,5 +1,6 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { Like } from "./like.model.js";
 
 const commentSchema = new Schema(
   {
@@ -15,10 +16,77 @@ const commentSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: "User",
     },
+    // Set on replies, always a top-level comment so threads are one level deep
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    repliesCount: {
+      type: Number,
+      default: 0,
+    },
+    // Previous versions of the content, oldest first, with the moment they were replaced
+    editHistory: [
+      {
+        _id: false,
+        content: {
+          type: String,
+        },
+        replacedAt: {
+          type: Date,
+        },
+      },
+    ],
+    editedAt: {
+      type: Date,
+    },
+    // Set by the owner of the video
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    isHearted: {
+      type: Boolean,
+      default: false,
+    },
+    // Hidden while its reports wait for a moderator, only its owner still sees it
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
 
+// Comments are always listed per video, newest or oldest first
+commentSchema.index({ video: 1, createdAt: -1 });
+
+// Replies are listed per thread, oldest first
+commentSchema.index({ parent: 1, createdAt: 1 });
+
+// A video has at most one pinned comment
+commentSchema.index(
+  { video: 1 },
+  { unique: true, partialFilterExpression: { isPinned: true } }
+);
+
+// Method for deleting a comment along with its replies and their likes
+// The reply count of the parent is kept in sync when a reply is deleted
+commentSchema.statics.deleteWithReplies = async function (comment) {
+  const replyIds = await this.find({ parent: comment._id }).distinct("_id");
+  const commentIds = [comment._id, ...replyIds];
+
+  await Like.deleteMany({ comment: { $in: commentIds } });
+  await this.deleteMany({ _id: { $in: commentIds } });
+
+  if (comment.parent) {
+    await this.updateOne(
+      { _id: comment.parent },
+      { $inc: { repliesCount: -1 } }
+    );
+  }
+};
+
 commentSchema.plugin(mongooseAggregatePaginate);
 
 export const Comment = mongoose.model("Comment", commentSchema);
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const communityPostSchema = new Schema(
   {
@@ -9,9 +10,19 @@ const communityPostSchema = new Schema(
     owner:{
         type: Schema.Types.ObjectId,
         ref: "User",
-    }
+    },
+    // Hidden while its reports wait for a moderator, only its owner still sees it
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
 
+// Posts are always listed per channel, newest first
+communityPostSchema.index({ owner: 1, createdAt: -1 });
+
+communityPostSchema.plugin(mongooseAggregatePaginate);
+
 export const CommunityPost = mongoose.model("CommunityPost", communityPostSchema);
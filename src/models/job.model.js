@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+// Background jobs run by the worker in utils/jobQueue.js
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 1,
+    },
+    // Due jobs with a higher priority are run first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // The job is not picked up before this date, used to delay retries
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    result: {
+      type: Schema.Types.Mixed,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Lets the worker find the next job to run
+jobSchema.index({ status: 1, priority: -1, runAt: 1 });
+
+// Let MongoDB remove finished jobs after a week
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const Job = mongoose.model("Job", jobSchema);
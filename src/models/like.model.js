@@ -22,4 +22,22 @@ const likeSchema = new Schema(
   { timestamps: true }
 );
 
+// A user can like the same video, comment or community post only once
+// Partial indexes are used because every like only points at one of the targets
+likeSchema.index(
+  { video: 1, likedBy: 1 },
+  { unique: true, partialFilterExpression: { video: { $exists: true } } }
+);
+likeSchema.index(
+  { comment: 1, likedBy: 1 },
+  { unique: true, partialFilterExpression: { comment: { $exists: true } } }
+);
+likeSchema.index(
+  { communityPost: 1, likedBy: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { communityPost: { $exists: true } },
+  }
+);
+
 export const Like = mongoose.model("Like", likeSchema);
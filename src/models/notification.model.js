@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { NOTIFICATION_RETENTION_DAYS } from "../constants.js";
+
+export const notificationTypes = [
+  "newVideo", // A subscribed channel uploaded a video
+  "newComment", // Someone commented on one of the recipient's videos
+  "commentReply", // Someone replied to one of the recipient's comments
+  "newSubscriber", // Someone subscribed to the recipient's channel
+];
+
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The user whose action caused the notification, i.e. the channel it comes from
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: notificationTypes,
+      required: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Notifications are listed per recipient, newest first
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Let MongoDB remove old notifications
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
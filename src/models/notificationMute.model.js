@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+import { notificationTypes } from "./notification.model.js";
+
+// Notification types a user does not want to receive from a channel
+const notificationMuteSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channel: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    types: [
+      {
+        type: String,
+        enum: notificationTypes,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+notificationMuteSchema.index({ user: 1, channel: 1 }, { unique: true });
+
+export const NotificationMute = mongoose.model(
+  "NotificationMute",
+  notificationMuteSchema
+);
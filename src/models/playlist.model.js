@@ -19,7 +19,11 @@ const playlistSchema = new Schema(
     owner:{
         type: Schema.Types.ObjectId,
         ref: "User",
-    }
+    },
+    isPublic: {
+      type: Boolean,
+      default: true, // Private playlists are only visible to their owner
+    },
   },
   { timestamps: true }
 );
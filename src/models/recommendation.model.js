@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+// Videos recommended to a user, best first, computed by the updateFeedScores job
+const recommendationSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    videos: [
+      {
+        _id: false,
+        video: {
+          type: Schema.Types.ObjectId,
+          ref: "Video",
+        },
+        score: {
+          type: Number,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+export const Recommendation = mongoose.model(
+  "Recommendation",
+  recommendationSchema
+);
@@ -0,0 +1,102 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+export const reportReasons = [
+  "spam",
+  "harassment",
+  "hateSpeech",
+  "violence",
+  "sexualContent",
+  "misinformation",
+  "copyright",
+  "other",
+];
+
+// A case gathering every report about the same target until a moderator resolves it
+// Reports sent after that open a new case, so every decision is kept
+const reportSchema = new Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["video", "comment", "communityPost", "channel"],
+      required: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    // The user responsible for the target, warned or banned when the case calls for it
+    targetOwner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // One entry per reporter, reporting the same target again updates it
+    reports: [
+      {
+        _id: false,
+        reporter: {
+          type: Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reason: {
+          type: String,
+          enum: reportReasons,
+        },
+        details: {
+          type: String,
+        },
+        reportedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    reportsCount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    // Set once the case reached the auto-hide threshold
+    isContentHidden: {
+      type: Boolean,
+      default: false,
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: ["dismiss", "removeContent", "warnOwner", "banOwner"],
+      },
+      note: {
+        type: String,
+      },
+      moderator: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: {
+        type: Date,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+// A target has at most one open case
+reportSchema.index(
+  { targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+// The moderation queue lists the most reported cases first
+reportSchema.index({ status: 1, reportsCount: -1, createdAt: 1 });
+
+// Lets reporters find the outcome of their reports
+reportSchema.index({ "reports.reporter": 1 });
+
+reportSchema.plugin(mongooseAggregatePaginate);
+
+export const Report = mongoose.model("Report", reportSchema);
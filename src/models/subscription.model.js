@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose"
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2"
 
 const subscriptionSchema = new Schema({
     subscriber: {
@@ -11,4 +12,10 @@ const subscriptionSchema = new Schema({
     }
 },{timestamps: true})
 
+// A user can subscribe to the same channel only once
+subscriptionSchema.index({ channel: 1, subscriber: 1 }, { unique: true })
+subscriptionSchema.index({ subscriber: 1, createdAt: -1 })
+
+subscriptionSchema.plugin(mongooseAggregatePaginate)
+
 export const SubscriptionSchema = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -0,0 +1,81 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// Single-use tokens sent by email, only their hash is stored
+const tokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      // twoFactorLogin tokens stand for a login whose password was accepted
+      // and which waits for the two-factor code
+      enum: ["emailVerification", "passwordReset", "twoFactorLogin"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Wrong answers given with the token, only counted for twoFactorLogin tokens
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+tokenSchema.index({ user: 1, type: 1 });
+
+// Let MongoDB remove tokens once they have expired
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Method for issuing a new token, any previous token of the same type is dropped
+// Returns the raw token, which is only ever sent to the user
+tokenSchema.statics.issue = async function (userId, type, expiresInMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await this.deleteMany({ user: userId, type });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMs),
+  });
+
+  return token;
+};
+
+// Method for finding a valid token without using it up
+// Returns null when the token is unknown, already used or expired
+tokenSchema.statics.findValid = async function (token, type) {
+  return await this.findOne({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Method for using a token, it is deleted so it cannot be used twice
+// Returns null when the token is unknown, already used or expired
+tokenSchema.statics.consume = async function (token, type) {
+  return await this.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+export const Token = mongoose.model("Token", tokenSchema);
@@ -1,6 +1,14 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOGIN_LOCK_MINUTES,
+  TWO_FACTOR_RECOVERY_CODES,
+} from "../constants.js";
+import { decryptSecret, verifyTotp } from "../utils/totp.js";
 
 const userSchema = new Schema(
   {
@@ -19,6 +27,10 @@ const userSchema = new Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
     fullName: {
       type: String,
       required: true,
@@ -26,29 +38,130 @@ const userSchema = new Schema(
       index: true,
     },
     avatar: {
-      type: String, // Cloudinary URL
+      type: String, // Public URL of the stored file
       required: true,
     },
+    avatarAssetKey: {
+      type: String, // Storage asset key, used to delete the file
+    },
     coverImage: {
-      type: String, // Cloudinary URL
+      type: String, // Public URL of the stored file
+    },
+    coverImageAssetKey: {
+      type: String,
     },
     watchHistory: [
       {
-        type: Schema.Types.ObjectId,
-        ref: "Video",
+        _id: false,
+        video: {
+          type: Schema.Types.ObjectId,
+          ref: "Video",
+        },
+        watchedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
+    isWatchHistoryPaused: {
+      type: Boolean,
+      default: false, // When paused, watched videos are not added to the history
+    },
+    subscriptionsFeedSeenAt: {
+      type: Date, // Videos uploaded after this are marked as new in the subscriptions feed
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
     },
-    refreshToken: {
+    // Opt-in TOTP two-factor authentication, secrets are stored encrypted
+    // and recovery codes hashed, none of them are ever sent back
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret waiting for its first code while 2FA is being set up
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Time step of the last accepted code, a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            codeHash: {
+              type: String,
+            },
+            usedAt: {
+              type: Date,
+            },
+          },
+        ],
+        select: false,
+      },
+    },
+    // Wrong passwords in a row, the account is locked once there are too many
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    // Banned users can neither log in nor use their existing tokens
+    isBanned: {
+      type: Boolean,
+      default: false,
+    },
+    banReason: {
       type: String,
     },
+    bannedAt: {
+      type: Date,
+    },
+    // Warnings issued by moderators after reports
+    warnings: [
+      {
+        _id: false,
+        reason: {
+          type: String,
+        },
+        issuedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Text index used by the channel search
+userSchema.index(
+  { username: "text", fullName: "text" },
+  { weights: { username: 2, fullName: 1 } }
+);
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 // Middleware for generating the hashed password
 userSchema.pre("save", async function (next) {
   try {
@@ -66,14 +179,106 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-// Method for generating access token
-userSchema.methods.generateAccessToken = function () {
+// Method for counting a wrong password or two-factor code, locking the account
+// after too many in a row
+userSchema.methods.recordFailedLogin = async function () {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+
+  if (failedLoginAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockedUntil: new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000),
+        },
+      }
+    );
+  }
+};
+
+// Method for forgetting the failed logins once a login fully succeeded
+userSchema.methods.clearFailedLogins = async function () {
+  if (!this.failedLoginAttempts && !this.lockedUntil) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } }
+  );
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) =>
+  String(code).replace(/[\s-]/g, "").toLowerCase();
+
+// Method for generating a new set of recovery codes, replacing the previous ones
+// Returns the raw codes, which are only shown to the user once
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODES }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map((code) => ({
+    codeHash: hashRecoveryCode(normalizeRecoveryCode(code)),
+  }));
+
+  return codes;
+};
+
+// Method for checking a two-factor code, either from the authenticator app or a recovery code
+// Both can only be used once, the check and its use are a single atomic update
+// The user has to be loaded with "+twoFactor.secret"
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+  if (!this.twoFactor?.enabled || !candidate) return false;
+
+  const step = verifyTotp(decryptSecret(this.twoFactor.secret), candidate);
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      "twoFactor.recoveryCodes": {
+        $elemMatch: {
+          codeHash: hashRecoveryCode(normalizeRecoveryCode(candidate)),
+          usedAt: null,
+        },
+      },
+    },
+    { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Method for generating access token for a session
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
       fullName: this.fullName,
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -82,14 +287,17 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-// Method for generating refresh token
-userSchema.methods.generateRefreshToken = function () {
+// Method for generating refresh token for a session
+// jti makes every rotated token unique, even when issued within the same second
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
       fullName: this.fullName,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
@@ -12,25 +12,62 @@ const videoSchema = new Schema(
       required: true,
     },
     videoFile: {
-      type: String, //cloudinary url
+      type: String, //public url of the stored file
       required: true,
     },
+    videoFileAssetKey: {
+      type: String, //storage asset key, used to delete the file
+    },
     thumbnail: {
-      type: String, //cloudinary url
-      required: true,
+      type: String, //public url of the stored file, generated while processing when none is uploaded
+    },
+    thumbnailAssetKey: {
+      type: String,
     },
     duration: {
-      type: Number, //cloudinary url
-      required: true,
+      type: Number, //in seconds, read from the file while processing
+      default: 0,
     },
     views: {
       type: Number,
       default: 0
     },
+    trendingScore: {
+      type: Number, //recomputed periodically by the updateFeedScores job
+      default: 0,
+      index: true,
+    },
+    // New uploads are processed by a background job before they are listed
+    status: {
+      type: String,
+      enum: ["processing", "ready", "failed"],
+      default: "ready",
+    },
+    processingJob: {
+      type: Schema.Types.ObjectId,
+      ref: "Job",
+    },
     isPublished: {
         type: Boolean,
         default: true
     },
+    // Hidden while its reports wait for a moderator
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when a moderator unpublished the video, the owner cannot publish it again
+    moderatorUnpublishedAt: {
+      type: Date,
+    },
+    moderationReason: {
+      type: String,
+    },
+    // Set the first time the video could be watched by everyone, subscribers
+    // are told about a video only once however often it is published again
+    subscribersNotifiedAt: {
+      type: Date,
+    },
     owner: {
         type: Schema.Types.ObjectId,
         ref: "User"
@@ -40,6 +77,22 @@ const videoSchema = new Schema(
   { timestamps: true }
 );
 
+// Lets the subscriptions feed list the latest uploads of many channels
+videoSchema.index({ owner: 1, createdAt: -1 });
+
+// Text index used by the search, a match in the title counts more
+videoSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 3, description: 1 } }
+);
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
+// Matches the videos other users are allowed to see once published
+// Videos uploaded before processing was added have no status and count as ready
+export const visibleVideoFilter = {
+  status: { $nin: ["processing", "failed"] },
+  isHidden: { $ne: true },
+};
+
 export const Video = mongoose.model("Video", videoSchema);
@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+import { VIDEO_STATS_RETENTION_DAYS } from "../constants.js";
+
+// Views counted for a video within an hour, used to rank trending videos
+const videoStatSchema = new Schema({
+  video: {
+    type: Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+  },
+  hour: {
+    type: Date, // Start of the hour
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+videoStatSchema.index({ video: 1, hour: 1 }, { unique: true });
+
+// Let MongoDB remove counts older than any trending window
+videoStatSchema.index(
+  { hour: 1 },
+  { expireAfterSeconds: VIDEO_STATS_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export const VideoStat = mongoose.model("VideoStat", videoStatSchema);
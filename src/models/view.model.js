@@ -0,0 +1,34 @@
+import mongoose, { Schema } from "mongoose";
+import { VIEW_COUNT_WINDOW_HOURS } from "../constants.js";
+
+// Remembers when a viewer last added a view to a video,
+// so refreshing the page does not inflate the view count
+const videoViewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    viewer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    countedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+videoViewSchema.index({ video: 1, viewer: 1 }, { unique: true });
+
+// Records are useless once the window has passed, let MongoDB remove them
+videoViewSchema.index(
+  { countedAt: 1 },
+  { expireAfterSeconds: VIEW_COUNT_WINDOW_HOURS * 60 * 60 }
+);
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
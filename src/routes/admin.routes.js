@@ -0,0 +1,74 @@
+import { Router } from "express";
+import {
+  banUser,
+  deleteAnyComment,
+  deleteAnyPost,
+  getUsers,
+  restoreVideo,
+  unbanUser,
+  unpublishVideo,
+  updateUserRole,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  banUserSchema,
+  commentIdSchema,
+  getUsersSchema,
+  postIdSchema,
+  unpublishVideoSchema,
+  updateUserRoleSchema,
+  userIdSchema,
+  videoIdSchema,
+} from "../validators/admin.validator.js";
+
+const router = Router();
+
+//all admin routes are secured
+router.use(verifyJWT);
+
+// Accounts are managed by admins only
+router
+  .route("/users")
+  .get(authorize("admin"), validate(getUsersSchema), getUsers);
+router
+  .route("/users/:userId/ban")
+  .patch(authorize("admin"), validate(banUserSchema), banUser);
+router
+  .route("/users/:userId/unban")
+  .patch(authorize("admin"), validate(userIdSchema), unbanUser);
+router
+  .route("/users/:userId/role")
+  .patch(authorize("admin"), validate(updateUserRoleSchema), updateUserRole);
+
+// Content can also be moderated by moderators
+router
+  .route("/videos/:videoId/unpublish")
+  .patch(
+    authorize("admin", "moderator"),
+    validate(unpublishVideoSchema),
+    unpublishVideo
+  );
+router
+  .route("/videos/:videoId/restore")
+  .patch(
+    authorize("admin", "moderator"),
+    validate(videoIdSchema),
+    restoreVideo
+  );
+router
+  .route("/comments/:commentId")
+  .delete(
+    authorize("admin", "moderator"),
+    validate(commentIdSchema),
+    deleteAnyComment
+  );
+router
+  .route("/posts/:postId")
+  .delete(
+    authorize("admin", "moderator"),
+    validate(postIdSchema),
+    deleteAnyPost
+  );
+
+export default router;
@@ -0,0 +1,57 @@
+import { Router } from "express";
+import {
+  addComment,
+  addReply,
+  deleteComment,
+  getCommentEditHistory,
+  getCommentReplies,
+  getVideoComments,
+  toggleHeartComment,
+  togglePinComment,
+  updateComment,
+} from "../controllers/comment.controller.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  addCommentSchema,
+  addReplySchema,
+  commentIdSchema,
+  deleteCommentSchema,
+  getCommentRepliesSchema,
+  getVideoCommentsSchema,
+  toggleHeartCommentSchema,
+  togglePinCommentSchema,
+  updateCommentSchema,
+} from "../validators/comment.validator.js";
+
+const router = Router();
+
+//all comment routes are secured
+router.use(verifyJWT);
+
+router
+  .route("/:videoId")
+  .get(validate(getVideoCommentsSchema), getVideoComments)
+  .post(requireVerifiedEmail, validate(addCommentSchema), addComment);
+router
+  .route("/c/:commentId")
+  .patch(validate(updateCommentSchema), updateComment)
+  .delete(validate(deleteCommentSchema), deleteComment);
+router
+  .route("/c/:commentId/replies")
+  .get(validate(getCommentRepliesSchema), getCommentReplies)
+  .post(requireVerifiedEmail, validate(addReplySchema), addReply);
+router
+  .route("/c/:commentId/history")
+  .get(validate(commentIdSchema), getCommentEditHistory);
+router
+  .route("/c/:commentId/pin")
+  .patch(validate(togglePinCommentSchema), togglePinComment);
+router
+  .route("/c/:commentId/heart")
+  .patch(validate(toggleHeartCommentSchema), toggleHeartComment);
+
+export default router;
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+  createPost,
+  deletePost,
+  getUserPosts,
+  updatePost,
+} from "../controllers/communityPost.controller.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPostSchema,
+  deletePostSchema,
+  getUserPostsSchema,
+  updatePostSchema,
+} from "../validators/communityPost.validator.js";
+
+const router = Router();
+
+//all community post routes are secured
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .post(requireVerifiedEmail, validate(createPostSchema), createPost);
+router.route("/user/:userId").get(validate(getUserPostsSchema), getUserPosts);
+router
+  .route("/:postId")
+  .patch(validate(updatePostSchema), updatePost)
+  .delete(validate(deletePostSchema), deletePost);
+
+export default router;
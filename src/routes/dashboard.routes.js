@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  getChannelStats,
+  getChannelVideos,
+} from "../controllers/dashboard.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getChannelStatsSchema,
+  getChannelVideosSchema,
+} from "../validators/dashboard.validator.js";
+
+const router = Router();
+
+//all dashboard routes are secured
+router.use(verifyJWT);
+
+router.route("/stats").get(validate(getChannelStatsSchema), getChannelStats);
+router.route("/videos").get(validate(getChannelVideosSchema), getChannelVideos);
+
+export default router;
@@ -0,0 +1,30 @@
+import { Router } from "express";
+import {
+  getRecommendedFeed,
+  getSubscriptionsFeed,
+  getTrendingFeed,
+  markSubscriptionsFeedSeen,
+} from "../controllers/feed.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getRecommendedFeedSchema,
+  getSubscriptionsFeedSchema,
+  getTrendingFeedSchema,
+} from "../validators/feed.validator.js";
+
+const router = Router();
+
+// Trending videos are the same for everyone, so the home screen works signed out
+router.route("/trending").get(validate(getTrendingFeedSchema), getTrendingFeed);
+
+//secured routes
+router
+  .route("/recommended")
+  .get(verifyJWT, validate(getRecommendedFeedSchema), getRecommendedFeed);
+router
+  .route("/subscriptions")
+  .get(verifyJWT, validate(getSubscriptionsFeedSchema), getSubscriptionsFeed);
+router.route("/subscriptions/seen").patch(verifyJWT, markSubscriptionsFeedSeen);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  getLikedVideos,
+  toggleCommentLike,
+  toggleCommunityPostLike,
+  toggleVideoLike,
+} from "../controllers/like.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  toggleCommentLikeSchema,
+  toggleCommunityPostLikeSchema,
+  toggleVideoLikeSchema,
+} from "../validators/like.validator.js";
+
+const router = Router();
+
+//all like routes are secured
+router.use(verifyJWT);
+
+router
+  .route("/toggle/v/:videoId")
+  .post(validate(toggleVideoLikeSchema), toggleVideoLike);
+router
+  .route("/toggle/c/:commentId")
+  .post(validate(toggleCommentLikeSchema), toggleCommentLike);
+router
+  .route("/toggle/p/:postId")
+  .post(validate(toggleCommunityPostLikeSchema), toggleCommunityPostLike);
+router.route("/videos").get(getLikedVideos);
+
+export default router;
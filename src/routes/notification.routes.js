@@ -0,0 +1,36 @@
+import { Router } from "express";
+import {
+  getMutedChannels,
+  getNotifications,
+  getUnreadCount,
+  markAllAsRead,
+  markAsRead,
+  setChannelMute,
+  streamNotifications,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getNotificationsSchema,
+  notificationIdSchema,
+  setChannelMuteSchema,
+} from "../validators/notification.validator.js";
+
+const router = Router();
+
+//all notification routes are secured
+router.use(verifyJWT);
+
+router.route("/").get(validate(getNotificationsSchema), getNotifications);
+router.route("/unread-count").get(getUnreadCount);
+router.route("/stream").get(streamNotifications);
+router.route("/read-all").patch(markAllAsRead);
+router.route("/mutes").get(getMutedChannels);
+router
+  .route("/mutes/:channelId")
+  .put(validate(setChannelMuteSchema), setChannelMute);
+router
+  .route("/:notificationId/read")
+  .patch(validate(notificationIdSchema), markAsRead);
+
+export default router;
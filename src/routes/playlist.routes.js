@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+  addVideoToPlaylist,
+  createPlaylist,
+  deletePlaylist,
+  getPlaylistById,
+  getUserPlaylists,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideos,
+  updatePlaylist,
+} from "../controllers/playlist.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPlaylistSchema,
+  getUserPlaylistsSchema,
+  playlistIdSchema,
+  playlistVideoSchema,
+  reorderPlaylistVideosSchema,
+  updatePlaylistSchema,
+} from "../validators/playlist.validator.js";
+
+const router = Router();
+
+//all playlist routes are secured
+router.use(verifyJWT);
+
+router.route("/").post(validate(createPlaylistSchema), createPlaylist);
+
+router
+  .route("/:playlistId")
+  .get(validate(playlistIdSchema), getPlaylistById)
+  .patch(validate(updatePlaylistSchema), updatePlaylist)
+  .delete(validate(playlistIdSchema), deletePlaylist);
+
+router
+  .route("/:playlistId/reorder")
+  .patch(validate(reorderPlaylistVideosSchema), reorderPlaylistVideos);
+router
+  .route("/add/:videoId/:playlistId")
+  .patch(validate(playlistVideoSchema), addVideoToPlaylist);
+router
+  .route("/remove/:videoId/:playlistId")
+  .patch(validate(playlistVideoSchema), removeVideoFromPlaylist);
+
+router
+  .route("/user/:userId")
+  .get(validate(getUserPlaylistsSchema), getUserPlaylists);
+
+export default router;
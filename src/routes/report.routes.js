@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+  createReport,
+  getMyReports,
+  getReportById,
+  getReportQueue,
+  resolveReport,
+} from "../controllers/report.controller.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createReportSchema,
+  getMyReportsSchema,
+  getReportQueueSchema,
+  reportIdSchema,
+  resolveReportSchema,
+} from "../validators/report.validator.js";
+
+const router = Router();
+
+//all report routes are secured
+router.use(verifyJWT);
+
+router.route("/").post(validate(createReportSchema), createReport);
+router.route("/mine").get(validate(getMyReportsSchema), getMyReports);
+
+// The moderation queue is only open to moderators and admins
+router
+  .route("/queue")
+  .get(
+    authorize("admin", "moderator"),
+    validate(getReportQueueSchema),
+    getReportQueue
+  );
+router
+  .route("/:reportId")
+  .get(
+    authorize("admin", "moderator"),
+    validate(reportIdSchema),
+    getReportById
+  );
+router
+  .route("/:reportId/resolve")
+  .patch(
+    authorize("admin", "moderator"),
+    validate(resolveReportSchema),
+    resolveReport
+  );
+
+export default router;
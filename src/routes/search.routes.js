@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { search } from "../controllers/search.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { searchSchema } from "../validators/search.validator.js";
+
+const router = Router();
+
+//all search routes are secured
+router.use(verifyJWT);
+
+router.route("/").get(validate(searchSchema), search);
+
+export default router;
@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+  getActiveSessions,
+  revokeAllSessions,
+  revokeSession,
+} from "../controllers/session.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  revokeAllSessionsSchema,
+  revokeSessionSchema,
+} from "../validators/session.validator.js";
+
+const router = Router();
+
+//all session routes are secured
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .get(getActiveSessions)
+  .delete(validate(revokeAllSessionsSchema), revokeAllSessions);
+router
+  .route("/:sessionId")
+  .delete(validate(revokeSessionSchema), revokeSession);
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  getSubscribedChannels,
+  getUserChannelSubscribers,
+  toggleSubscription,
+} from "../controllers/subscription.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getSubscribedChannelsSchema,
+  getUserChannelSubscribersSchema,
+  toggleSubscriptionSchema,
+} from "../validators/subscription.validator.js";
+
+const router = Router();
+
+//all subscription routes are secured
+router.use(verifyJWT);
+
+router
+  .route("/c/:channelId")
+  .get(validate(getUserChannelSubscribersSchema), getUserChannelSubscribers)
+  .post(validate(toggleSubscriptionSchema), toggleSubscription);
+router
+  .route("/u/:subscriberId")
+  .get(validate(getSubscribedChannelsSchema), getSubscribedChannels);
+
+export default router;
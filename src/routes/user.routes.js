@@ -1,6 +1,8 @@
 import { Router } from "express";
 import {
   changeCurrentPassword,
+  clearWatchHistory,
+  forgotPassword,
   getCurrentUser,
   getUserChannelProfile,
   getWatchHistory,
@@ -8,44 +10,189 @@ import {
   logoutUser,
   refreshAccessToken,
   registerUser,
+  removeFromWatchHistory,
+  requestEmailVerification,
+  resetPassword,
+  toggleWatchHistoryPause,
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  verifyEmail,
+  verifyTwoFactorLogin,
 } from "../controllers/user.controller.js";
+import {
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+} from "../controllers/twoFactor.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+  changeCurrentPasswordSchema,
+  channelProfileSchema,
+  forgotPasswordSchema,
+  loginUserSchema,
+  refreshAccessTokenSchema,
+  registerUserSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  updateAccountDetailsSchema,
+  verifyEmailSchema,
+  verifyTwoFactorLoginSchema,
+  watchHistoryEntrySchema,
+} from "../validators/user.validator.js";
+import {
+  AUTH_RATE_LIMIT_WINDOW_MINUTES,
+  CHANGE_PASSWORD_RATE_LIMIT_PER_ACCOUNT,
+  LOGIN_RATE_LIMIT_PER_IP,
+  REFRESH_TOKEN_RATE_LIMIT_PER_IP,
+  REGISTER_RATE_LIMIT_PER_IP,
+  TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS,
+} from "../constants.js";
 
 const router = Router();
 
+const authWindowMs = AUTH_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+
+// Failed logins are also counted per account, by loginUser once it knows the account
+const loginLimit = rateLimit({
+  name: "login-ip",
+  windowMs: authWindowMs,
+  max: LOGIN_RATE_LIMIT_PER_IP,
+});
+// Wrong codes are also counted per challenge and per account by verifyTwoFactorLogin
+const twoFactorLoginLimit = rateLimit({
+  name: "login-2fa-ip",
+  windowMs: authWindowMs,
+  max: LOGIN_RATE_LIMIT_PER_IP,
+});
+const registerLimit = rateLimit({
+  name: "register-ip",
+  windowMs: authWindowMs,
+  max: REGISTER_RATE_LIMIT_PER_IP,
+});
+const refreshTokenLimit = rateLimit({
+  name: "refresh-token-ip",
+  windowMs: authWindowMs,
+  max: REFRESH_TOKEN_RATE_LIMIT_PER_IP,
+});
+// Has to come after verifyJWT, shared by the routes checking a code of the logged-in user
+const twoFactorCodeLimit = rateLimit({
+  name: "two-factor-account",
+  windowMs: authWindowMs,
+  max: TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS,
+  key: (req) => req.user?._id?.toString(),
+  onlyFailed: true,
+});
+// Has to come after verifyJWT, it counts per logged-in user
+const changePasswordLimit = rateLimit({
+  name: "change-password-account",
+  windowMs: authWindowMs,
+  max: CHANGE_PASSWORD_RATE_LIMIT_PER_ACCOUNT,
+  key: (req) => req.user?._id?.toString(),
+  onlyFailed: true,
+});
+
 router.route("/register").post(
+  registerLimit,
   upload.fields([
     {
       name: "avatar",
       maxCount: 1,
+      profile: "image",
     },
     {
       name: "coverImage",
       maxCount: 1,
+      profile: "image",
     },
   ]),
+  validate(registerUserSchema),
   registerUser
 );
 
-router.route("/login").post(loginUser);
+router.route("/login").post(loginLimit, validate(loginUserSchema), loginUser);
+router
+  .route("/login/2fa")
+  .post(
+    twoFactorLoginLimit,
+    validate(verifyTwoFactorLoginSchema),
+    verifyTwoFactorLogin
+  );
+router.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail);
+router
+  .route("/forgot-password")
+  .post(validate(forgotPasswordSchema), forgotPassword);
+router
+  .route("/reset-password")
+  .post(validate(resetPasswordSchema), resetPassword);
 
 //secured routes
 router.route("/logout").post(verifyJWT, logoutUser);
-router.route("/refresh-token").post(refreshAccessToken);
-router.route("/change-password").post(verifyJWT, changeCurrentPassword);
+router
+  .route("/refresh-token")
+  .post(
+    refreshTokenLimit,
+    validate(refreshAccessTokenSchema),
+    refreshAccessToken
+  );
+router
+  .route("/change-password")
+  .post(
+    verifyJWT,
+    changePasswordLimit,
+    validate(changeCurrentPasswordSchema),
+    changeCurrentPassword
+  );
 router.route("/current-user").get(verifyJWT, getCurrentUser);
-router.route("/update-account").patch(verifyJWT, updateAccountDetails);
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+router
+  .route("/2fa/confirm")
+  .post(
+    verifyJWT,
+    twoFactorCodeLimit,
+    validate(twoFactorCodeSchema),
+    confirmTwoFactor
+  );
+router
+  .route("/2fa/disable")
+  .post(
+    verifyJWT,
+    twoFactorCodeLimit,
+    validate(twoFactorCodeSchema),
+    disableTwoFactor
+  );
+router
+  .route("/2fa/recovery-codes")
+  .post(
+    verifyJWT,
+    twoFactorCodeLimit,
+    validate(twoFactorCodeSchema),
+    regenerateRecoveryCodes
+  );
+router.route("/verify-email/request").post(verifyJWT, requestEmailVerification);
+router
+  .route("/update-account")
+  .patch(verifyJWT, validate(updateAccountDetailsSchema), updateAccountDetails);
 router
   .route("/avatar")
-  .patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
+  .patch(verifyJWT, upload.single("avatar", "image"), updateUserAvatar);
 router
   .route("/cover-image")
-  .patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile);
-router.route("/history").get(verifyJWT, getWatchHistory);
+  .patch(verifyJWT, upload.single("coverImage", "image"), updateUserCoverImage);
+router
+  .route("/c/:username")
+  .get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile);
+router
+  .route("/history")
+  .get(verifyJWT, getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+router.route("/history/pause").patch(verifyJWT, toggleWatchHistoryPause);
+router
+  .route("/history/:videoId")
+  .delete(verifyJWT, validate(watchHistoryEntrySchema), removeFromWatchHistory);
 
 export default router;
@@ -0,0 +1,71 @@
+import { Router } from "express";
+import {
+  deleteVideo,
+  getAllVideos,
+  getVideoById,
+  getVideoProcessingStatus,
+  publishAVideo,
+  recordVideoView,
+  streamVideo,
+  togglePublishStatus,
+  updateVideo,
+} from "../controllers/video.controller.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import {
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getAllVideosSchema,
+  publishAVideoSchema,
+  updateVideoSchema,
+  videoIdSchema,
+} from "../validators/video.validator.js";
+
+const router = Router();
+
+//all video routes are secured
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .get(validate(getAllVideosSchema), getAllVideos)
+  .post(
+    upload.fields([
+      {
+        name: "videoFile",
+        maxCount: 1,
+        profile: "video",
+      },
+      {
+        name: "thumbnail",
+        maxCount: 1,
+        profile: "image",
+      },
+    ]),
+    requireVerifiedEmail,
+    validate(publishAVideoSchema),
+    publishAVideo
+  );
+
+router
+  .route("/:videoId")
+  .get(validate(videoIdSchema), getVideoById)
+  .patch(
+    upload.single("thumbnail", "image"),
+    validate(updateVideoSchema),
+    updateVideo
+  )
+  .delete(validate(videoIdSchema), deleteVideo);
+
+router
+  .route("/toggle/publish/:videoId")
+  .patch(validate(videoIdSchema), togglePublishStatus);
+router.route("/:videoId/views").post(validate(videoIdSchema), recordVideoView);
+router
+  .route("/:videoId/status")
+  .get(validate(videoIdSchema), getVideoProcessingStatus);
+router.route("/:videoId/stream").get(validate(videoIdSchema), streamVideo);
+
+export default router;
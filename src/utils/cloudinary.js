@@ -24,11 +24,14 @@ const uploadOnCloudinary = async (localFilePath) => {
 };
 
 // Function to delete a file from Cloudinary using its public_id
-const deleteFromCloudinary = async (publicId) => {
+// resourceType has to be "video" for videos, Cloudinary treats everything else as an image
+const deleteFromCloudinary = async (publicId, resourceType = "image") => {
   try {
     if (!publicId) return null;
 
-    const response = await cloudinary.uploader.destroy(publicId);
+    const response = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+    });
 
     if (response.result !== "ok") {
       throw new Error("Failed to delete the image from Cloudinary.");
@@ -41,4 +44,52 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
-export { uploadOnCloudinary, deleteFromCloudinary };
+// Asset ids of this driver are "<resource_type>/<public_id>",
+// the resource type is needed to delete videos and public ids may contain folders
+const splitAssetId = (assetId) => {
+  const separatorIndex = assetId.indexOf("/");
+  return {
+    resourceType: assetId.slice(0, separatorIndex),
+    publicId: assetId.slice(separatorIndex + 1),
+  };
+};
+
+// Function to rebuild the asset id of a file from its Cloudinary URL,
+// for files uploaded before asset keys were stored
+// e.g. https://res.cloudinary.com/<cloud>/video/upload/v1712345678/folder/abc.mp4
+//   -> "video/folder/abc"
+const assetIdFromUrl = (url) => {
+  const match =
+    /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]*)?$/.exec(
+      url || ""
+    );
+  return match ? `${match[1]}/${match[2]}` : null;
+};
+
+// Storage driver backed by Cloudinary, see utils/storage.js
+const cloudinaryDriver = {
+  upload: async (localFilePath) => {
+    const response = await uploadOnCloudinary(localFilePath);
+    if (!response) return null;
+
+    return {
+      assetId: `${response.resource_type}/${response.public_id}`,
+      url: response.url,
+      duration: response.duration, // Only reported for videos, in seconds
+    };
+  },
+
+  delete: async (assetId) => {
+    const { resourceType, publicId } = splitAssetId(assetId);
+    return Boolean(await deleteFromCloudinary(publicId, resourceType));
+  },
+
+  getUrl: (assetId) => {
+    const { resourceType, publicId } = splitAssetId(assetId);
+    return cloudinary.url(publicId, { resource_type: resourceType });
+  },
+
+  assetIdFromUrl,
+};
+
+export { cloudinaryDriver };
@@ -0,0 +1,50 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+// Cursors for listings sorted on a field in descending order, with _id breaking ties.
+// A cursor holds the sort it was made for and the position of the last item sent,
+// so the next page starts right after it even when items were added in between.
+
+// Function to build the opaque cursor pointing after an item
+const encodeCursor = (sort, value, id) => {
+  const isDate = value instanceof Date;
+
+  return Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: isDate ? value.toISOString() : value,
+      d: isDate,
+      i: String(id),
+    })
+  ).toString("base64url");
+};
+
+// Function to read a cursor sent by the client, it has to be made for the same sort
+const decodeCursor = (cursor, sort) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    parsed = null;
+  }
+
+  const value = parsed?.d ? new Date(parsed.v) : parsed?.v;
+
+  if (
+    parsed?.s !== sort ||
+    !isValidObjectId(parsed.i) ||
+    !["number", "string"].includes(typeof parsed.v) ||
+    (parsed.d && Number.isNaN(value.getTime()))
+  ) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(parsed.i) };
+};
+
+// Function to build the $match condition selecting the items after a cursor
+const afterCursor = (field, { value, id }) => ({
+  $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }],
+});
+
+export { encodeCursor, decodeCursor, afterCursor };
@@ -0,0 +1,51 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Uploaded files are kept under public/ so express.static can serve them
+const UPLOADS_DIR = "./public/uploads";
+
+// Storage driver writing files to the local disk, see utils/storage.js
+// Asset ids are file names relative to the uploads directory
+const diskDriver = {
+  upload: async (localFilePath) => {
+    try {
+      if (!localFilePath) return null;
+
+      const assetId = `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`;
+
+      await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+      await fs.promises.rename(localFilePath, path.join(UPLOADS_DIR, assetId));
+
+      return {
+        assetId,
+        url: diskDriver.getUrl(assetId),
+      };
+    } catch (error) {
+      console.error("Error while storing the file on disk:", error);
+      await fs.promises.rm(localFilePath, { force: true }); //remove the temp file because the upload failed
+      return null;
+    }
+  },
+
+  delete: async (assetId) => {
+    try {
+      // basename keeps ids from pointing outside the uploads directory
+      await fs.promises.unlink(path.join(UPLOADS_DIR, path.basename(assetId)));
+      return true;
+    } catch (error) {
+      console.error("Error while deleting the file from disk:", error);
+      return false;
+    }
+  },
+
+  // Path of the file on disk, lets controllers stream it
+  getPath: (assetId) => path.join(UPLOADS_DIR, path.basename(assetId)),
+
+  getUrl: (assetId) => {
+    const baseUrl = (process.env.PUBLIC_URL || "").replace(/\/$/, "");
+    return `${baseUrl}/uploads/${assetId}`;
+  },
+};
+
+export { diskDriver };
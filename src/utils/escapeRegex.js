@@ -0,0 +1,4 @@
+// Function to escape user input so it is matched literally inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\/-]/g, "\\$&");
+
+export { escapeRegex };
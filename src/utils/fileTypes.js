@@ -0,0 +1,21 @@
+import path from "path";
+
+// Types of the files accepted as uploads, as detected from their first bytes.
+// Stored files are named with the extension of their type, which is how the
+// static middleware and the video stream pick what to serve and how.
+const fileTypes = {
+  jpeg: { extension: ".jpg", contentType: "image/jpeg" },
+  png: { extension: ".png", contentType: "image/png" },
+  gif: { extension: ".gif", contentType: "image/gif" },
+  webp: { extension: ".webp", contentType: "image/webp" },
+  mp4: { extension: ".mp4", contentType: "video/mp4" },
+  webm: { extension: ".webm", contentType: "video/webm" },
+};
+
+// Function to find the type of a stored file from its extension
+const fileTypeOf = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.values(fileTypes).find((type) => type.extension === extension);
+};
+
+export { fileTypes, fileTypeOf };
@@ -0,0 +1,202 @@
+import { Job } from "../models/job.model.js";
+import {
+  JOB_POLL_INTERVAL_SECONDS,
+  JOB_MAX_ATTEMPTS,
+  JOB_RETRY_DELAY_SECONDS,
+  JOB_LOCK_TIMEOUT_MINUTES,
+} from "../constants.js";
+
+// A job queue kept in MongoDB and run inside the API process, no broker needed.
+// Every job type has a handler registered with registerJobHandler:
+//   run(payload, job)        -> result stored on the job, throws to fail the attempt
+//   onFailed(payload, error) -> optional, called once the last attempt has failed
+// Jobs run one at a time, media processing is too heavy to run side by side.
+// Due jobs are run by priority, so long maintenance work split into small jobs
+// with a low priority never holds back the jobs users wait for.
+
+const handlers = new Map();
+// Interval (in ms) of the job types scheduled with scheduleRecurringJob
+const recurringJobs = new Map();
+
+let isStarted = false;
+let isWorking = false;
+let pollTimer = null;
+
+// Function to register the handler of a job type
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+// Function to add a job to the queue, returns the created job
+const enqueueJob = async (
+  type,
+  payload = {},
+  { maxAttempts = JOB_MAX_ATTEMPTS, runAt = new Date(), priority = 0 } = {}
+) => {
+  const job = await Job.create({ type, payload, maxAttempts, runAt, priority });
+
+  // Do not wait for the next poll when the worker is idle
+  if (isStarted) setImmediate(work);
+
+  return job;
+};
+
+// Function to tell whether a job of a type is waiting or running
+const hasPendingJob = async (type) => {
+  return Boolean(
+    await Job.exists({ type, status: { $in: ["queued", "running"] } })
+  );
+};
+
+// Function to run a job type every `intervalMs`
+// Only one run is ever queued, so restarting the server does not add more
+const scheduleRecurringJob = async (
+  type,
+  intervalMs,
+  payload = {},
+  { priority = 0 } = {}
+) => {
+  recurringJobs.set(type, intervalMs);
+
+  if (!(await hasPendingJob(type))) {
+    await enqueueJob(type, payload, { priority });
+  } else {
+    // Runs queued before the priority was changed keep it for good otherwise
+    await Job.updateMany({ type, status: "queued" }, { $set: { priority } });
+  }
+};
+
+// Function to lock the next job that is due, so no other worker picks it up
+const claimNextJob = async () => {
+  const now = new Date();
+  const lockExpiredAt = new Date(
+    now.getTime() - JOB_LOCK_TIMEOUT_MINUTES * 60 * 1000
+  );
+
+  return await Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        // Jobs left running by a process that stopped are picked up again
+        { status: "running", lockedAt: { $lte: lockExpiredAt } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { priority: -1, runAt: 1 } }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    const result = await handler.run(job.payload, job);
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: "completed", result, finishedAt: new Date() },
+        $unset: { lockedAt: 1, lastError: 1 },
+      }
+    );
+  } catch (error) {
+    console.error(`Job ${job.type} ${job._id} failed:`, error);
+
+    if (job.attempts < job.maxAttempts) {
+      // Retry later, waiting longer after every failed attempt
+      const delay = JOB_RETRY_DELAY_SECONDS * 2 ** (job.attempts - 1) * 1000;
+
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "queued",
+            runAt: new Date(Date.now() + delay),
+            lastError: error?.message,
+          },
+          $unset: { lockedAt: 1 },
+        }
+      );
+      return;
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "failed",
+          lastError: error?.message,
+          finishedAt: new Date(),
+        },
+        $unset: { lockedAt: 1 },
+      }
+    );
+
+    try {
+      await handler.onFailed?.(job.payload, error);
+    } catch (failureError) {
+      console.error(
+        `Error while handling the failure of job ${job._id}:`,
+        failureError
+      );
+    }
+  }
+
+  // Queue the next run of recurring jobs once this one is over for good
+  const interval = recurringJobs.get(job.type);
+  if (interval) {
+    await enqueueJob(job.type, job.payload, {
+      runAt: new Date(Date.now() + interval),
+      priority: job.priority,
+    });
+  }
+};
+
+// Function to run every due job, then wait for the next poll
+const work = async () => {
+  if (!isStarted || isWorking) return;
+
+  isWorking = true;
+  clearTimeout(pollTimer);
+
+  try {
+    let job;
+    while (isStarted && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error("Error in the job worker:", error);
+  } finally {
+    isWorking = false;
+    if (isStarted) {
+      pollTimer = setTimeout(work, JOB_POLL_INTERVAL_SECONDS * 1000);
+    }
+  }
+};
+
+// Function to start the worker, once the database is connected
+const startJobWorker = () => {
+  if (isStarted) return;
+
+  isStarted = true;
+  work();
+};
+
+// Function to stop the worker, the job being run is finished first
+const stopJobWorker = () => {
+  isStarted = false;
+  clearTimeout(pollTimer);
+};
+
+export {
+  registerJobHandler,
+  enqueueJob,
+  hasPendingJob,
+  scheduleRecurringJob,
+  startJobWorker,
+  stopJobWorker,
+};
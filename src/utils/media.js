@@ -0,0 +1,61 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// Media files are inspected with ffprobe and ffmpeg, which have to be installed
+// on the server. FFPROBE_PATH and FFMPEG_PATH can point to other binaries.
+// Inputs can be paths on disk or URLs of remotely stored files.
+
+// Kill the process if a broken or huge file keeps it busy for too long
+const COMMAND_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Function to read the duration (in seconds) of a video
+const probeDuration = async (input) => {
+  const { stdout } = await execFileAsync(
+    process.env.FFPROBE_PATH || "ffprobe",
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      input,
+    ],
+    { timeout: COMMAND_TIMEOUT_MS }
+  );
+
+  const duration = parseFloat(stdout);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error("Could not read the duration of the video");
+  }
+
+  return duration;
+};
+
+// Function to save a single frame of a video as an image, at most 1280 pixels wide
+const extractFrame = async (input, outputPath, atSeconds = 0) => {
+  await execFileAsync(
+    process.env.FFMPEG_PATH || "ffmpeg",
+    [
+      "-v",
+      "error",
+      "-y",
+      "-ss",
+      String(atSeconds),
+      "-i",
+      input,
+      "-frames:v",
+      "1",
+      "-vf",
+      "scale='min(1280,iw)':-2",
+      outputPath,
+    ],
+    { timeout: COMMAND_TIMEOUT_MS }
+  );
+
+  return outputPath;
+};
+
+export { probeDuration, extractFrame };
@@ -0,0 +1,89 @@
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { CommunityPost } from "../models/communityPost.model.js";
+import { Like } from "../models/like.model.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Moderation actions shared by the admin routes and the report resolutions
+// Content is addressed by its type, "video", "comment" or "communityPost",
+// which is also the name of the field pointing at it in the likes
+
+const contentModels = {
+  video: Video,
+  comment: Comment,
+  communityPost: CommunityPost,
+};
+
+// Function to hide a video, comment or community post, or show it again
+const setContentHidden = async (targetType, targetId, isHidden) => {
+  await contentModels[targetType].updateOne(
+    { _id: targetId },
+    { $set: { isHidden } }
+  );
+};
+
+// Function to remove a video, comment or community post
+// Videos are unpublished for good, their owner cannot publish them again,
+// comments and posts are deleted along with their likes, and comments with their replies
+// Returns the content, or null when it no longer exists
+const removeContent = async (targetType, targetId, reason) => {
+  if (targetType === "video") {
+    return await Video.findByIdAndUpdate(
+      targetId,
+      {
+        $set: {
+          isPublished: false,
+          isHidden: false,
+          moderatorUnpublishedAt: new Date(),
+          moderationReason: reason?.trim(),
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // Replies go away with the comment they answer
+  if (targetType === "comment") {
+    const comment = await Comment.findById(targetId);
+    if (comment) {
+      await Comment.deleteWithReplies(comment);
+    }
+    return comment;
+  }
+
+  const content = await contentModels[targetType].findByIdAndDelete(targetId);
+  if (content) {
+    await Like.deleteMany({ [targetType]: content._id });
+  }
+
+  return content;
+};
+
+// Function to ban an account and sign it out of every device
+const banAccount = async (user, reason) => {
+  // Admins have to be demoted before they can be banned
+  if (user.role === "admin") {
+    throw new ApiError(403, "Admins cannot be banned");
+  }
+
+  user.isBanned = true;
+  user.banReason = reason?.trim();
+  user.bannedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await Session.deleteMany({ user: user._id });
+
+  return user;
+};
+
+// Function to record a warning on an account
+const warnAccount = async (userId, reason) => {
+  await User.updateOne(
+    { _id: userId },
+    { $push: { warnings: { reason: reason?.trim(), issuedAt: new Date() } } }
+  );
+};
+
+export { setContentHidden, removeContent, banAccount, warnAccount };
@@ -0,0 +1,97 @@
+import { EventEmitter } from "events";
+import { Notification } from "../models/notification.model.js";
+import { NotificationMute } from "../models/notificationMute.model.js";
+import { User } from "../models/user.model.js";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { SubscriptionSchema as Subscription } from "../models/subscription.model.js";
+
+// Notifications are stored for the list endpoints and pushed live to the
+// open SSE streams of their recipient. Streams are kept in memory, so a
+// recipient connected to another server instance only sees them on the list.
+
+const streams = new EventEmitter();
+// Every open stream adds a listener, there is no meaningful limit
+streams.setMaxListeners(0);
+
+// Recipients are inserted in batches so large channels do not build huge writes
+const BATCH_SIZE = 1000;
+
+// Function to listen to the notifications of a user, returns the function to stop
+const subscribeToNotifications = (userId, listener) => {
+  const eventName = String(userId);
+  streams.on(eventName, listener);
+  return () => streams.off(eventName, listener);
+};
+
+// Function to notify users of an action, failures are logged instead of failing the request
+// Nobody is notified of their own actions, nor of the types they muted for the actor
+const notify = async ({ recipients, actor, type, video, comment }) => {
+  try {
+    const recipientIds = recipients.filter(
+      (recipient) => recipient && !recipient.equals(actor)
+    );
+    if (!recipientIds.length) return;
+
+    const actorDetails = await User.findById(actor).select(
+      "fullName username avatar"
+    );
+
+    for (let start = 0; start < recipientIds.length; start += BATCH_SIZE) {
+      const batch = recipientIds.slice(start, start + BATCH_SIZE);
+
+      const mutedBy = await NotificationMute.find({
+        user: { $in: batch },
+        channel: actor,
+        types: type,
+      }).distinct("user");
+      const muted = new Set(mutedBy.map(String));
+
+      const notifications = await Notification.insertMany(
+        batch
+          .filter((recipient) => !muted.has(String(recipient)))
+          .map((recipient) => ({ recipient, actor, type, video, comment }))
+      );
+
+      for (const notification of notifications) {
+        streams.emit(String(notification.recipient), {
+          ...notification.toObject(),
+          actor: actorDetails,
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Error while sending notifications:", error);
+  }
+};
+
+// Function to tell the subscribers of a channel about a new video, once it is
+// both published and ready to watch, whichever comes last
+// The video is marked first, so it is announced once even if published again later
+const notifyNewVideo = async (videoId) => {
+  try {
+    const video = await Video.findOneAndUpdate(
+      {
+        _id: videoId,
+        isPublished: true,
+        ...visibleVideoFilter,
+        subscribersNotifiedAt: { $exists: false },
+      },
+      { $set: { subscribersNotifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!video) return;
+
+    await notify({
+      recipients: await Subscription.distinct("subscriber", {
+        channel: video.owner,
+      }),
+      actor: video.owner,
+      type: "newVideo",
+      video: video._id,
+    });
+  } catch (error) {
+    console.error("Error while announcing a new video:", error);
+  }
+};
+
+export { notify, notifyNewVideo, subscribeToNotifications };
@@ -0,0 +1,50 @@
+// Every rate limit store implements the same interface, so the counters can be
+// moved to a shared store like Redis when the API runs on several instances:
+//   increment(key, windowMs) -> { count, resetAt } of the window the hit falls in,
+//                               a new window starts once resetAt has passed
+//   decrement(key)           -> takes back a hit of the current window
+//   reset(key)               -> forgets the key
+// Every method may return a promise.
+
+// Expired windows are swept from memory this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Function to create a store keeping the counters in the memory of this process
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  // The sweep alone must not keep the process alive
+  sweep.unref();
+
+  return {
+    increment: (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+    decrement: (key) => {
+      const window = windows.get(key);
+      if (window && window.count > 0) {
+        window.count -= 1;
+      }
+    },
+    reset: (key) => {
+      windows.delete(key);
+    },
+  };
+};
+
+export { createMemoryStore };
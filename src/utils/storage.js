@@ -0,0 +1,80 @@
+import { cloudinaryDriver } from "./cloudinary.js";
+import { diskDriver } from "./diskStorage.js";
+
+// Every storage driver implements the same interface:
+//   upload(localFilePath) -> { assetId, url, duration? } or null when it fails,
+//                            the temp file is removed in both cases
+//   delete(assetId)       -> true when the file was removed
+//   getUrl(assetId)       -> public URL of the file
+//   getPath(assetId)      -> path on disk, only for drivers keeping files locally
+//   assetIdFromUrl(url)   -> asset id of a file from its URL, only for drivers
+//                            whose files existed before asset keys were stored
+//
+// Models store an asset key "<driver>:<assetId>" next to every URL,
+// so files can still be deleted after STORAGE_DRIVER is changed.
+
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: diskDriver,
+};
+
+const getDefaultDriverName = () => {
+  const name = process.env.STORAGE_DRIVER || "cloudinary";
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return name;
+};
+
+const parseAssetKey = (assetKey) => {
+  const separatorIndex = assetKey?.indexOf(":") ?? -1;
+  const driver = drivers[assetKey?.slice(0, separatorIndex)];
+
+  if (separatorIndex === -1 || !driver) {
+    return null;
+  }
+
+  return { driver, assetId: assetKey.slice(separatorIndex + 1) };
+};
+
+// Function to upload a file with the driver selected by STORAGE_DRIVER
+const uploadFile = async (localFilePath) => {
+  const driverName = getDefaultDriverName();
+  const file = await drivers[driverName].upload(localFilePath);
+  if (!file) return null;
+
+  return {
+    ...file,
+    assetKey: `${driverName}:${file.assetId}`,
+  };
+};
+
+// Function to find the asset key of a file uploaded before asset keys were stored
+// Those files were all on Cloudinary, so the key is rebuilt from their URL
+const legacyAssetKey = (url) => {
+  const assetId = drivers.cloudinary.assetIdFromUrl(url);
+  return assetId ? `cloudinary:${assetId}` : null;
+};
+
+// Function to delete a file using the asset key stored in the model
+// The URL is used instead for files uploaded before asset keys were stored
+const deleteFile = async (assetKey, url) => {
+  const asset = parseAssetKey(assetKey || legacyAssetKey(url));
+  if (!asset) return false;
+
+  return await asset.driver.delete(asset.assetId);
+};
+
+// Function to get the public URL of a file from its asset key
+const getFileUrl = (assetKey) => {
+  const asset = parseAssetKey(assetKey);
+  return asset ? asset.driver.getUrl(asset.assetId) : null;
+};
+
+// Function to get the path on disk of a file, null when its driver is not local
+const getLocalFilePath = (assetKey) => {
+  const asset = parseAssetKey(assetKey);
+  return asset?.driver.getPath ? asset.driver.getPath(asset.assetId) : null;
+};
+
+export { uploadFile, deleteFile, getFileUrl, getLocalFilePath };
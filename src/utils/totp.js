@@ -0,0 +1,138 @@
+import crypto from "crypto";
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1 of the number of 30 second steps since the epoch, 6 digits.
+// Secrets are stored encrypted with TWO_FACTOR_ENCRYPTION_KEY, the server
+// needs them in clear to check codes so they cannot be hashed.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let encoded = "";
+  for (let index = 0; index < bits.length; index += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = "";
+  for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Function to compute the code of a time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// Function to generate a new random secret, base32 encoded for authenticator apps
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// Function to build the URI authenticator apps read from a QR code
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Function to check a code against a secret
+// One step of clock drift is accepted either way. Returns the time step the
+// code belongs to, so callers can refuse a code that was already used, or
+// null when the code is wrong.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const getEncryptionKey = () => {
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new Error("TWO_FACTOR_ENCRYPTION_KEY is not set");
+  }
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY)
+    .digest();
+};
+
+// Function to encrypt a secret before it is stored, as "iv.tag.ciphertext" in base64
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+// Function to decrypt a secret stored by encryptSecret
+const decryptSecret = (encrypted) => {
+  const [iv, tag, ciphertext] = encrypted
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+export {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,62 @@
+import { isValidObjectId } from "mongoose";
+import { Video, visibleVideoFilter } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { CommunityPost } from "../models/communityPost.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Lookups of content a user is allowed to interact with, shared by the
+// comment and like controllers. Content the user cannot see is reported
+// as missing, so its existence is not revealed.
+
+// Function to find a video that can be commented on
+// Unpublished videos are treated as missing for everyone but their owner
+const findCommentableVideo = async (videoId, userId) => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findOne({
+    _id: videoId,
+    $or: [{ isPublished: true, ...visibleVideoFilter }, { owner: userId }],
+  });
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return video;
+};
+
+// Function to find a comment the user is allowed to see, along with its video
+// Hidden comments are treated as missing for everyone but their owner
+const findVisibleComment = async (commentId, userId) => {
+  if (!isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment || (comment.isHidden && !comment.owner.equals(userId))) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  const video = await findCommentableVideo(comment.video, userId);
+
+  return { comment, video };
+};
+
+// Function to find a community post the user is allowed to see
+// Hidden posts are treated as missing for everyone but their owner
+const findVisiblePost = async (postId, userId) => {
+  if (!isValidObjectId(postId)) {
+    throw new ApiError(400, "Invalid post id");
+  }
+
+  const post = await CommunityPost.findById(postId);
+  if (!post || (post.isHidden && !post.owner.equals(userId))) {
+    throw new ApiError(404, "Community post not found");
+  }
+
+  return post;
+};
+
+export { findCommentableVideo, findVisibleComment, findVisiblePost };
@@ -0,0 +1,84 @@
+import {
+  required,
+  isString,
+  length,
+  isObjectId,
+  isBoolean,
+  isIn,
+  pagination,
+} from "./rules.js";
+
+const reason = [isString(), length({ max: 500 })];
+
+const getUsersSchema = {
+  query: {
+    ...pagination,
+    query: [isString(), length({ max: 100 })],
+    role: [isIn(["user", "moderator", "admin"])],
+    isBanned: [isBoolean()],
+    emailVerified: [isBoolean()],
+    sortType: [isIn(["asc", "desc"])],
+  },
+};
+
+const banUserSchema = {
+  params: {
+    userId: [required(), isObjectId()],
+  },
+  body: {
+    reason,
+  },
+};
+
+const userIdSchema = {
+  params: {
+    userId: [required(), isObjectId()],
+  },
+};
+
+const updateUserRoleSchema = {
+  params: {
+    userId: [required(), isObjectId()],
+  },
+  body: {
+    role: [required(), isIn(["user", "moderator", "admin"])],
+  },
+};
+
+const unpublishVideoSchema = {
+  params: {
+    videoId: [required(), isObjectId()],
+  },
+  body: {
+    reason,
+  },
+};
+
+const videoIdSchema = {
+  params: {
+    videoId: [required(), isObjectId()],
+  },
+};
+
+const commentIdSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+};
+
+const postIdSchema = {
+  params: {
+    postId: [required(), isObjectId()],
+  },
+};
+
+export {
+  getUsersSchema,
+  banUserSchema,
+  userIdSchema,
+  updateUserRoleSchema,
+  unpublishVideoSchema,
+  videoIdSchema,
+  commentIdSchema,
+  postIdSchema,
+};
@@ -0,0 +1,99 @@
+import {
+  required,
+  isString,
+  length,
+  isObjectId,
+  isIn,
+  isBoolean,
+  pagination,
+} from "./rules.js";
+
+const content = [required(), isString(), length({ max: 1000 })];
+
+const getVideoCommentsSchema = {
+  params: {
+    videoId: [required(), isObjectId()],
+  },
+  query: {
+    ...pagination,
+    sort: [isIn(["newest", "oldest"])],
+  },
+};
+
+const addCommentSchema = {
+  params: {
+    videoId: [required(), isObjectId()],
+  },
+  body: {
+    content,
+  },
+};
+
+const updateCommentSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+  body: {
+    content,
+  },
+};
+
+const deleteCommentSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+};
+
+const getCommentRepliesSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+  query: {
+    ...pagination,
+  },
+};
+
+const addReplySchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+  body: {
+    content,
+  },
+};
+
+const commentIdSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+};
+
+const togglePinCommentSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+  body: {
+    pinned: [isBoolean()],
+  },
+};
+
+const toggleHeartCommentSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+  body: {
+    hearted: [isBoolean()],
+  },
+};
+
+export {
+  getVideoCommentsSchema,
+  addCommentSchema,
+  updateCommentSchema,
+  deleteCommentSchema,
+  getCommentRepliesSchema,
+  addReplySchema,
+  commentIdSchema,
+  togglePinCommentSchema,
+  toggleHeartCommentSchema,
+};
@@ -0,0 +1,38 @@
+import { required, isString, length, isObjectId, pagination } from "./rules.js";
+
+const content = [required(), isString(), length({ max: 5000 })];
+
+const createPostSchema = {
+  body: {
+    content,
+  },
+};
+
+const getUserPostsSchema = {
+  params: {
+    userId: [required(), isObjectId()],
+  },
+  query: pagination,
+};
+
+const updatePostSchema = {
+  params: {
+    postId: [required(), isObjectId()],
+  },
+  body: {
+    content,
+  },
+};
+
+const deletePostSchema = {
+  params: {
+    postId: [required(), isObjectId()],
+  },
+};
+
+export {
+  createPostSchema,
+  getUserPostsSchema,
+  updatePostSchema,
+  deletePostSchema,
+};
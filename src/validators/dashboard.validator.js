@@ -0,0 +1,13 @@
+import { isInt, pagination } from "./rules.js";
+
+const getChannelStatsSchema = {
+  query: {
+    top: [isInt({ min: 1, max: 20 })],
+  },
+};
+
+const getChannelVideosSchema = {
+  query: pagination,
+};
+
+export { getChannelStatsSchema, getChannelVideosSchema };
@@ -0,0 +1,22 @@
+import { isObjectId, pagination } from "./rules.js";
+
+const getTrendingFeedSchema = {
+  query: pagination,
+};
+
+const getRecommendedFeedSchema = {
+  query: pagination,
+};
+
+const getSubscriptionsFeedSchema = {
+  query: {
+    ...pagination,
+    channelId: [isObjectId()],
+  },
+};
+
+export {
+  getTrendingFeedSchema,
+  getRecommendedFeedSchema,
+  getSubscriptionsFeedSchema,
+};
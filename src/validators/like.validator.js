@@ -0,0 +1,32 @@
+import { required, isObjectId, isBoolean } from "./rules.js";
+
+const body = {
+  liked: [isBoolean()],
+};
+
+const toggleVideoLikeSchema = {
+  params: {
+    videoId: [required(), isObjectId()],
+  },
+  body,
+};
+
+const toggleCommentLikeSchema = {
+  params: {
+    commentId: [required(), isObjectId()],
+  },
+  body,
+};
+
+const toggleCommunityPostLikeSchema = {
+  params: {
+    postId: [required(), isObjectId()],
+  },
+  body,
+};
+
+export {
+  toggleVideoLikeSchema,
+  toggleCommentLikeSchema,
+  toggleCommunityPostLikeSchema,
+};
@@ -0,0 +1,33 @@
+import {
+  required,
+  isObjectId,
+  isBoolean,
+  isIn,
+  isArrayOf,
+  pagination,
+} from "./rules.js";
+import { notificationTypes } from "../models/notification.model.js";
+
+const getNotificationsSchema = {
+  query: {
+    ...pagination,
+    unreadOnly: [isBoolean()],
+  },
+};
+
+const notificationIdSchema = {
+  params: {
+    notificationId: [required(), isObjectId()],
+  },
+};
+
+const setChannelMuteSchema = {
+  params: {
+    channelId: [required(), isObjectId()],
+  },
+  body: {
+    types: [required(), isArrayOf(isIn(notificationTypes))],
+  },
+};
+
+export { getNotificationsSchema, notificationIdSchema, setChannelMuteSchema };
@@ -0,0 +1,62 @@
+import {
+  required,
+  isString,
+  length,
+  isObjectId,
+  isBoolean,
+  isArrayOf,
+} from "./rules.js";
+
+const playlistIdParams = {
+  playlistId: [required(), isObjectId()],
+};
+
+const createPlaylistSchema = {
+  body: {
+    name: [required(), isString(), length({ max: 150 })],
+    description: [required(), isString(), length({ max: 5000 })],
+    isPublic: [isBoolean()],
+  },
+};
+
+const playlistIdSchema = {
+  params: playlistIdParams,
+};
+
+const updatePlaylistSchema = {
+  params: playlistIdParams,
+  body: {
+    name: [isString(), length({ max: 150 })],
+    description: [isString(), length({ max: 5000 })],
+    isPublic: [isBoolean()],
+  },
+};
+
+const playlistVideoSchema = {
+  params: {
+    ...playlistIdParams,
+    videoId: [required(), isObjectId()],
+  },
+};
+
+const reorderPlaylistVideosSchema = {
+  params: playlistIdParams,
+  body: {
+    videos: [required(), isArrayOf(isObjectId())],
+  },
+};
+
+const getUserPlaylistsSchema = {
+  params: {
+    userId: [required(), isObjectId()],
+  },
+};
+
+export {
+  createPlaylistSchema,
+  playlistIdSchema,
+  updatePlaylistSchema,
+  playlistVideoSchema,
+  reorderPlaylistVideosSchema,
+  getUserPlaylistsSchema,
+};
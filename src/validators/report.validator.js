@@ -0,0 +1,60 @@
+import {
+  required,
+  isString,
+  length,
+  isObjectId,
+  isIn,
+  pagination,
+} from "./rules.js";
+import { reportReasons } from "../models/report.model.js";
+
+const reportIdParams = {
+  reportId: [required(), isObjectId()],
+};
+
+const createReportSchema = {
+  body: {
+    targetType: [
+      required(),
+      isIn(["video", "comment", "communityPost", "channel"]),
+    ],
+    targetId: [required(), isObjectId()],
+    reason: [required(), isIn(reportReasons)],
+    details: [isString(), length({ max: 1000 })],
+  },
+};
+
+const getMyReportsSchema = {
+  query: pagination,
+};
+
+const getReportQueueSchema = {
+  query: {
+    ...pagination,
+    status: [isIn(["open", "resolved"])],
+    targetType: [isIn(["video", "comment", "communityPost", "channel"])],
+  },
+};
+
+const reportIdSchema = {
+  params: reportIdParams,
+};
+
+const resolveReportSchema = {
+  params: reportIdParams,
+  body: {
+    action: [
+      required(),
+      isIn(["dismiss", "removeContent", "warnOwner", "banOwner"]),
+    ],
+    note: [isString(), length({ max: 1000 })],
+  },
+};
+
+export {
+  createReportSchema,
+  getMyReportsSchema,
+  getReportQueueSchema,
+  reportIdSchema,
+  resolveReportSchema,
+};
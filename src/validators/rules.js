@@ -0,0 +1,136 @@
+import { isValidObjectId } from "mongoose";
+
+// Every rule is a function that receives the value of a field
+// and returns an error message, or nothing when the value is fine.
+// Fields without the `required()` rule are only checked when present.
+
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const required = (message = "is required") => {
+  const rule = (value) => (isMissing(value) ? message : undefined);
+  // Lets the validate middleware tell required fields apart from optional ones
+  rule.isRequired = true;
+  return rule;
+};
+
+const isString =
+  (message = "must be a string") =>
+  (value) =>
+    typeof value === "string" ? undefined : message;
+
+const length =
+  ({ min, max }) =>
+  (value) => {
+    if (typeof value !== "string") return undefined;
+    const size = value.trim().length;
+    if (min !== undefined && size < min) {
+      return `must be at least ${min} characters long`;
+    }
+    if (max !== undefined && size > max) {
+      return `must be at most ${max} characters long`;
+    }
+    return undefined;
+  };
+
+const matches = (pattern, message) => (value) =>
+  typeof value === "string" && !pattern.test(value) ? message : undefined;
+
+const isEmail = () => (value) =>
+  isString()(value) ||
+  matches(
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    "must be a valid email address"
+  )(value.trim());
+
+const isUsername = () => (value) =>
+  isString()(value) ||
+  length({ min: 3, max: 30 })(value) ||
+  matches(
+    /^[a-zA-Z0-9_.]+$/,
+    "may only contain letters, numbers, underscores and dots"
+  )(value.trim());
+
+// At least 8 characters with a lowercase letter, an uppercase letter and a number
+const isStrongPassword = () => (value) =>
+  isString()(value) ||
+  length({ min: 8, max: 128 })(value) ||
+  matches(
+    /(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+    "must contain a lowercase letter, an uppercase letter and a number"
+  )(value);
+
+const isObjectId =
+  (message = "must be a valid id") =>
+  (value) =>
+    isValidObjectId(value) && String(value).length === 24 ? undefined : message;
+
+const isBoolean =
+  (message = "must be true or false") =>
+  (value) =>
+    typeof value === "boolean" || value === "true" || value === "false"
+      ? undefined
+      : message;
+
+const isInt =
+  ({ min, max } = {}) =>
+  (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number)) return "must be a whole number";
+    if (min !== undefined && number < min) return `must be at least ${min}`;
+    if (max !== undefined && number > max) return `must be at most ${max}`;
+    return undefined;
+  };
+
+const isNumber =
+  ({ min, max } = {}) =>
+  (value) => {
+    const number = Number(value);
+    if (value === "" || !Number.isFinite(number)) return "must be a number";
+    if (min !== undefined && number < min) return `must be at least ${min}`;
+    if (max !== undefined && number > max) return `must be at most ${max}`;
+    return undefined;
+  };
+
+const isDate =
+  (message = "must be a valid date") =>
+  (value) =>
+    typeof value === "string" && !Number.isNaN(Date.parse(value))
+      ? undefined
+      : message;
+
+const isIn = (values) => (value) =>
+  values.includes(value) ? undefined : `must be one of ${values.join(", ")}`;
+
+const isArrayOf = (rule) => (value) => {
+  if (!Array.isArray(value)) return "must be an array";
+  const index = value.findIndex((item) => rule(item));
+  return index === -1 ? undefined : `[${index}] ${rule(value[index])}`;
+};
+
+// Rules shared by every paginated listing
+const pagination = {
+  page: [isInt({ min: 1 })],
+  limit: [isInt({ min: 1, max: 100 })],
+};
+
+export {
+  isMissing,
+  required,
+  isString,
+  length,
+  matches,
+  isEmail,
+  isUsername,
+  isStrongPassword,
+  isObjectId,
+  isBoolean,
+  isInt,
+  isNumber,
+  isDate,
+  isIn,
+  isArrayOf,
+  pagination,
+};
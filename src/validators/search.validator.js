@@ -0,0 +1,28 @@
+import {
+  required,
+  isString,
+  length,
+  isObjectId,
+  isIn,
+  isInt,
+  isNumber,
+  isDate,
+} from "./rules.js";
+
+const searchSchema = {
+  query: {
+    q: [required(), isString(), length({ max: 100 })],
+    type: [isIn(["video", "channel"])],
+    sortBy: [isIn(["relevance", "views", "date"])],
+    cursor: [isString(), length({ max: 200 })],
+    limit: [isInt({ min: 1, max: 50 })],
+    // Filters below only apply to video searches
+    minDuration: [isNumber({ min: 0 })],
+    maxDuration: [isNumber({ min: 0 })],
+    uploadedAfter: [isDate()],
+    uploadedBefore: [isDate()],
+    userId: [isObjectId()],
+  },
+};
+
+export { searchSchema };
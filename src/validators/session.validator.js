@@ -0,0 +1,15 @@
+import { required, isObjectId, isIn } from "./rules.js";
+
+const revokeSessionSchema = {
+  params: {
+    sessionId: [required(), isObjectId()],
+  },
+};
+
+const revokeAllSessionsSchema = {
+  query: {
+    keepCurrent: [isIn(["true", "false"])],
+  },
+};
+
+export { revokeSessionSchema, revokeAllSessionsSchema };
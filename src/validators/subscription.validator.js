@@ -0,0 +1,27 @@
+import { required, isObjectId, pagination } from "./rules.js";
+
+const toggleSubscriptionSchema = {
+  params: {
+    channelId: [required(), isObjectId()],
+  },
+};
+
+const getUserChannelSubscribersSchema = {
+  params: {
+    channelId: [required(), isObjectId()],
+  },
+  query: pagination,
+};
+
+const getSubscribedChannelsSchema = {
+  params: {
+    subscriberId: [required(), isObjectId()],
+  },
+  query: pagination,
+};
+
+export {
+  toggleSubscriptionSchema,
+  getUserChannelSubscribersSchema,
+  getSubscribedChannelsSchema,
+};
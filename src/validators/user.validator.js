@@ -0,0 +1,113 @@
+import {
+  required,
+  isString,
+  length,
+  isEmail,
+  isUsername,
+  isStrongPassword,
+  isObjectId,
+} from "./rules.js";
+
+const fullName = [required(), isString(), length({ min: 1, max: 100 })];
+
+// A code from the authenticator app or a recovery code
+const twoFactorCode = [isString(), length({ max: 20 })];
+
+const registerUserSchema = {
+  body: {
+    fullName,
+    email: [required(), isEmail()],
+    username: [required(), isUsername()],
+    password: [required(), isStrongPassword()],
+  },
+};
+
+// Passwords are not checked for strength on login, older accounts may have weaker ones
+const loginUserSchema = {
+  body: {
+    email: [isEmail()],
+    username: [isString()],
+    password: [required(), isString()],
+  },
+};
+
+const refreshAccessTokenSchema = {
+  body: {
+    refreshToken: [isString()],
+  },
+};
+
+const changeCurrentPasswordSchema = {
+  body: {
+    oldPassword: [required(), isString()],
+    newPassword: [required(), isStrongPassword()],
+    // Only needed once two-factor authentication is enabled
+    code: twoFactorCode,
+  },
+};
+
+const verifyTwoFactorLoginSchema = {
+  body: {
+    challengeToken: [required(), isString()],
+    code: [required(), ...twoFactorCode],
+  },
+};
+
+const twoFactorCodeSchema = {
+  body: {
+    code: [required(), ...twoFactorCode],
+  },
+};
+
+const updateAccountDetailsSchema = {
+  body: {
+    fullName,
+    email: [required(), isEmail()],
+  },
+};
+
+const channelProfileSchema = {
+  params: {
+    username: [required(), isUsername()],
+  },
+};
+
+const watchHistoryEntrySchema = {
+  params: {
+    videoId: [required(), isObjectId()],
+  },
+};
+
+const verifyEmailSchema = {
+  body: {
+    token: [required(), isString()],
+  },
+};
+
+const forgotPasswordSchema = {
+  body: {
+    email: [required(), isEmail()],
+  },
+};
+
+const resetPasswordSchema = {
+  body: {
+    token: [required(), isString()],
+    newPassword: [required(), isStrongPassword()],
+  },
+};
+
+export {
+  registerUserSchema,
+  loginUserSchema,
+  refreshAccessTokenSchema,
+  changeCurrentPasswordSchema,
+  updateAccountDetailsSchema,
+  channelProfileSchema,
+  watchHistoryEntrySchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyTwoFactorLoginSchema,
+  twoFactorCodeSchema,
+};
@@ -0,0 +1,48 @@
+import {
+  required,
+  isString,
+  length,
+  isObjectId,
+  isIn,
+  pagination,
+} from "./rules.js";
+
+const videoIdParams = {
+  videoId: [required(), isObjectId()],
+};
+
+const getAllVideosSchema = {
+  query: {
+    ...pagination,
+    query: [isString(), length({ max: 100 })],
+    sortBy: [isIn(["createdAt", "views", "duration", "title"])],
+    sortType: [isIn(["asc", "desc"])],
+    userId: [isObjectId()],
+  },
+};
+
+const publishAVideoSchema = {
+  body: {
+    title: [required(), isString(), length({ max: 100 })],
+    description: [required(), isString(), length({ max: 5000 })],
+  },
+};
+
+const videoIdSchema = {
+  params: videoIdParams,
+};
+
+const updateVideoSchema = {
+  params: videoIdParams,
+  body: {
+    title: [isString(), length({ max: 100 })],
+    description: [isString(), length({ max: 5000 })],
+  },
+};
+
+export {
+  getAllVideosSchema,
+  publishAVideoSchema,
+  videoIdSchema,
+  updateVideoSchema,
+};